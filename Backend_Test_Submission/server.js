@@ -1,12 +1,32 @@
+const path = require('path');
 const UrlShortenerApp = require('./src/app');
 const { logger } = require('./src/middleware/logger');
 const { Log } = require('./src/Logging-Middleware/logger'); // ✅ Remote logger
 const UrlModel = require('./src/models/UrlModel');
+const WebhookModel = require('./src/models/WebhookModel');
+const { createStore } = require('./src/storage');
+const { PRIVACY_MODE } = require('./src/utils/privacy');
+const { listDomains, UNKNOWN_HOST_FALLBACK } = require('./src/utils/domains');
+const { markShuttingDown, isShuttingDown } = require('./src/utils/health');
 
 // Environment configuration
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || 'localhost';
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+const STORAGE_FILE = process.env.STORAGE_FILE || path.join(__dirname, 'data', 'urls.jsonl');
+// Raw click records older than this are purged (0 keeps them forever)
+const CLICK_RETENTION_DAYS = parseInt(process.env.CLICK_RETENTION_DAYS, 10) || 0;
+// Expired links keep answering 410 for this long before cleanup deletes them
+const EXPIRED_LINK_RETENTION_DAYS = parseInt(process.env.EXPIRED_LINK_RETENTION_DAYS, 10) || 30;
+// How long to keep serving after a shutdown signal while load balancers see
+// the readiness check fail and drain traffic (0 closes immediately)
+const SHUTDOWN_DRAIN_MS = parseInt(process.env.SHUTDOWN_DRAIN_MS, 10) || 0;
+
+// Storage backend must be in place before any request is served
+const store = createStore({ driver: STORAGE_DRIVER, filePath: STORAGE_FILE });
+UrlModel.useStore(store);
+WebhookModel.useStore(store);
 
 // Create application instance
 const appInstance = new UrlShortenerApp();
@@ -18,6 +38,12 @@ const server = app.listen(PORT, HOST, () => {
     port: PORT,
     host: HOST,
     environment: NODE_ENV,
+    storage: STORAGE_DRIVER,
+    privacyMode: PRIVACY_MODE,
+    domains: listDomains().map(({ domain }) => domain),
+    unknownHostFallback: UNKNOWN_HOST_FALLBACK,
+    clickRetentionDays: CLICK_RETENTION_DAYS,
+    expiredLinkRetentionDays: EXPIRED_LINK_RETENTION_DAYS,
     pid: process.pid,
     nodeVersion: process.version,
     timestamp: new Date().toISOString()
@@ -28,12 +54,33 @@ const server = app.listen(PORT, HOST, () => {
   console.log(`\n URL Shortener Microservice is running!`);
   console.log(`Server: http://${HOST}:${PORT}`);
   console.log(` Environment: ${NODE_ENV}`);
+  console.log(` Storage: ${STORAGE_DRIVER}`);
+  if (listDomains().length > 0) {
+    console.log(` Domains: ${listDomains().map(({ domain, isDefault }) => isDefault ? `${domain} (default)` : domain).join(', ')}`);
+  }
   console.log(`Process ID: ${process.pid}`);
   console.log(`\n Available Endpoints:`);
   console.log(`   POST http://${HOST}:${PORT}/shorturls - Create short URL`);
+  console.log(`   POST http://${HOST}:${PORT}/shorturls/batch - Create short URLs in bulk`);
+  console.log(`   GET  http://${HOST}:${PORT}/shorturls - List and search short URLs`);
+  console.log(`   GET  http://${HOST}:${PORT}/shorturls/export - Export links or clicks (CSV/NDJSON)`);
+  console.log(`   POST http://${HOST}:${PORT}/shorturls/import - Import links from CSV/JSON (?dryRun=true)`);
   console.log(`   GET  http://${HOST}:${PORT}/shorturls/:shortcode - Get statistics`);
+  console.log(`   GET  http://${HOST}:${PORT}/shorturls/:shortcode/analytics - Aggregated analytics`);
+  console.log(`   GET  http://${HOST}:${PORT}/shorturls/:shortcode/qr - QR code (PNG/SVG)`);
+  console.log(`   PATCH http://${HOST}:${PORT}/shorturls/:shortcode - Update short URL`);
+  console.log(`   DELETE http://${HOST}:${PORT}/shorturls/:shortcode - Delete short URL`);
+  console.log(`   POST http://${HOST}:${PORT}/webhooks - Subscribe to link events`);
+  console.log(`   GET  http://${HOST}:${PORT}/webhooks - List webhook subscriptions`);
+  console.log(`   GET  http://${HOST}:${PORT}/webhooks/dead-letters - Failed webhook deliveries`);
+  console.log(`   GET  http://${HOST}:${PORT}/tags - List tags`);
+  console.log(`   GET  http://${HOST}:${PORT}/collections - List collections`);
   console.log(`   GET  http://${HOST}:${PORT}/:shortcode - Redirect to original URL`);
+  console.log(`   GET  http://${HOST}:${PORT}/:shortcode+ - Preview short URL destination`);
   console.log(`   GET  http://${HOST}:${PORT}/health - Health check`);
+  console.log(`   GET  http://${HOST}:${PORT}/health/live - Liveness probe`);
+  console.log(`   GET  http://${HOST}:${PORT}/health/ready - Readiness probe`);
+  console.log(`   GET  http://${HOST}:${PORT}/metrics - Prometheus metrics`);
   console.log(`\n Logs are stored in: ./logs/`);
   console.log(`\n   Press Ctrl+C to stop the server\n`);
 });
@@ -43,7 +90,7 @@ const cleanupInterval = setInterval(() => {
   logger.info('Running scheduled cleanup of expired URLs');
   Log("backend", "info", "middleware", "Scheduled cleanup triggered"); // 
 
-  const cleanedCount = UrlModel.cleanupExpired();
+  const cleanedCount = UrlModel.cleanupExpired(EXPIRED_LINK_RETENTION_DAYS);
 
   if (cleanedCount > 0) {
     logger.info('Cleanup completed', { expiredUrlsRemoved: cleanedCount });
@@ -51,35 +98,59 @@ const cleanupInterval = setInterval(() => {
   }
 }, 60 * 60 * 1000); // Every 1 hour
 
+// Scheduled purge of click records past the retention period (every hour)
+const retentionInterval = CLICK_RETENTION_DAYS > 0 ? setInterval(() => {
+  logger.info('Running scheduled click retention purge', { retentionDays: CLICK_RETENTION_DAYS });
+  Log("backend", "info", "cron_job", "Scheduled click retention purge triggered");
+
+  UrlModel.purgeOldClicks(CLICK_RETENTION_DAYS);
+}, 60 * 60 * 1000) : null; // Every 1 hour
+
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
-  logger.info('Graceful shutdown initiated', { signal });
+  // A second signal while draining does not restart the shutdown
+  if (isShuttingDown()) return;
+
+  // Readiness reports 503 from now on
+  markShuttingDown();
+
+  logger.info('Graceful shutdown initiated', { signal, drainMs: SHUTDOWN_DRAIN_MS });
   Log("backend", "info", "middleware", `Graceful shutdown initiated with signal: ${signal}`); // 
 
   console.log(`\n Received ${signal}. Shutting down gracefully...`);
 
   clearInterval(cleanupInterval);
-
-  server.close((err) => {
-    if (err) {
-      logger.error('Error during server shutdown', { error: err.message });
-      Log("backend", "fatal", "middleware", `Error during shutdown: ${err.message}`); // 
-      console.error('❌ Error during shutdown:', err.message);
+  clearInterval(retentionInterval);
+
+  const closeServer = () => {
+    server.close((err) => {
+      if (err) {
+        logger.error('Error during server shutdown', { error: err.message });
+        Log("backend", "fatal", "middleware", `Error during shutdown: ${err.message}`); // 
+        console.error('❌ Error during shutdown:', err.message);
+        process.exit(1);
+      }
+
+      logger.info('Server shut down successfully');
+      Log("backend", "info", "middleware", "Server shut down successfully"); // 
+      console.log(' Server shut down complete');
+      process.exit(0);
+    });
+
+    setTimeout(() => {
+      logger.error('Forced shutdown due to timeout');
+      Log("backend", "fatal", "middleware", "Forced shutdown due to timeout"); // 
+      console.error('❌ Forced shutdown due to timeout');
       process.exit(1);
-    }
+    }, 10000); // 10s timeout
+  };
 
-    logger.info('Server shut down successfully');
-    Log("backend", "info", "middleware", "Server shut down successfully"); // 
-    console.log(' Server shut down complete');
-    process.exit(0);
-  });
-
-  setTimeout(() => {
-    logger.error('Forced shutdown due to timeout');
-    Log("backend", "fatal", "middleware", "Forced shutdown due to timeout"); // 
-    console.error('❌ Forced shutdown due to timeout');
-    process.exit(1);
-  }, 10000); // 10s timeout
+  if (SHUTDOWN_DRAIN_MS > 0) {
+    console.log(` Draining traffic for ${SHUTDOWN_DRAIN_MS}ms before closing`);
+    setTimeout(closeServer, SHUTDOWN_DRAIN_MS);
+  } else {
+    closeServer();
+  }
 };
 
 // Listen for shutdown signals
@@ -2,9 +2,22 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const { logger, requestLogger } = require('./middleware/logger');
+const { authenticate } = require('./middleware/auth');
 const { Log } = require('./Logging-Middleware/logger'); // ✅ Remote logger
 const urlRoutes = require('./routes/urlRoutes');
 const redirectRoutes = require('./routes/redirectRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const groupRoutes = require('./routes/groupRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const { listDomains } = require('./utils/domains');
+const { anonymizeIP } = require('./utils/privacy');
+
+// Proxies whose X-Forwarded-For is believed when working out the client IP:
+// a hop count, or a comma-separated list of addresses, subnets and the names
+// loopback, linklocal and uniquelocal. Trusting every hop would let clients
+// choose their own IP, and with it their rate limit bucket, via that header.
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
 
 class UrlShortenerApp {
   constructor() {
@@ -24,19 +37,28 @@ class UrlShortenerApp {
     this.app.use(cors({
       origin: true,
       credentials: true,
-      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key']
     }));
 
     // Trust proxy
-    this.app.set('trust proxy', true);
+    this.app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
 
     // Request logging middleware
     this.app.use(requestLogger);
 
     // Body parsers
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    const bodyLimit = process.env.BODY_LIMIT || '1mb';
+    this.app.use(express.json({ limit: bodyLimit }));
+    this.app.use(express.urlencoded({ extended: true, limit: bodyLimit }));
+
+    // API key authentication for link management; redirects stay anonymous
+    this.app.use([
+      '/shorturls', '/api/shorturls',
+      '/webhooks', '/api/webhooks',
+      '/tags', '/api/tags',
+      '/collections', '/api/collections'
+    ], authenticate);
 
     // Request sanitization
     this.app.use((req, res, next) => {
@@ -55,9 +77,17 @@ class UrlShortenerApp {
   }
 
   setupRoutes() {
+    // Health probes first so no other route (e.g. /:shortcode) can shadow them
+    this.app.use('/', healthRoutes);
+
     // API & direct routes
     this.app.use('/api', urlRoutes);
     this.app.use('/', urlRoutes);
+    this.app.use('/api', webhookRoutes);
+    this.app.use('/', webhookRoutes);
+    this.app.use('/api', groupRoutes);
+    this.app.use('/', groupRoutes);
+    this.app.use('/', metricsRoutes);
 
     // Redirect route (should be last)
     this.app.use('/', redirectRoutes);
@@ -74,10 +104,28 @@ class UrlShortenerApp {
         timestamp: new Date().toISOString(),
         endpoints: {
           create: 'POST /shorturls',
+          batchCreate: 'POST /shorturls/batch',
+          list: 'GET /shorturls',
+          export: 'GET /shorturls/export',
+          import: 'POST /shorturls/import',
           statistics: 'GET /shorturls/:shortcode',
+          analytics: 'GET /shorturls/:shortcode/analytics',
+          qrCode: 'GET /shorturls/:shortcode/qr',
+          update: 'PATCH /shorturls/:shortcode',
+          delete: 'DELETE /shorturls/:shortcode',
+          webhooks: 'POST|GET /webhooks, GET|DELETE /webhooks/:id',
+          webhookDeadLetters: 'GET /webhooks/dead-letters',
+          tags: 'GET /tags, GET /tags/:tag/analytics, PATCH|DELETE /tags/:tag',
+          collections: 'GET /collections, GET /collections/:name/analytics, PATCH|DELETE /collections/:name',
           redirect: 'GET /:shortcode',
-          health: 'GET /health'
-        }
+          preview: 'GET /:shortcode+',
+          health: 'GET /health',
+          liveness: 'GET /health/live',
+          readiness: 'GET /health/ready',
+          metrics: 'GET /metrics'
+        },
+        // Branded short link domains (empty when links use the request host)
+        domains: listDomains()
       });
     });
 
@@ -91,7 +139,7 @@ class UrlShortenerApp {
       logger.warn('404 - Route not found', {
         method: req.method,
         url: req.url,
-        ip: req.ip
+        ip: anonymizeIP(req.ip)
       });
       Log("backend", "warn", "middleware", `404 - Route not found: ${req.method} ${req.url}`); // ✅
 
@@ -110,7 +158,7 @@ class UrlShortenerApp {
         stack: error.stack,
         method: req.method,
         url: req.url,
-        ip: req.ip
+        ip: anonymizeIP(req.ip)
       });
       Log("backend", "error", "middleware", `Unhandled error: ${error.message}`); // ✅
 
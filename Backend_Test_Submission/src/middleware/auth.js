@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { Log } = require('../Logging-Middleware/logger');
+const { anonymizeIP } = require('../utils/privacy');
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Parse API_KEYS ("owner:key,owner2:key2") into a map of key hash -> owner.
+// Only hashes are kept in memory so keys never end up in logs or dumps.
+const loadApiKeys = (raw = process.env.API_KEYS || '') => {
+  const keys = new Map();
+
+  raw.split(',').forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator < 1) return;
+
+    const owner = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (owner && key) {
+      keys.set(hashKey(key), owner);
+    }
+  });
+
+  return keys;
+};
+
+const apiKeys = loadApiKeys();
+
+// Owners allowed to see and filter links of every owner
+const ADMIN_OWNERS = (process.env.ADMIN_OWNERS || '').split(',').map(owner => owner.trim()).filter(Boolean);
+
+const isAdmin = (owner) => Boolean(owner) && ADMIN_OWNERS.includes(owner);
+
+if (apiKeys.size === 0) {
+  logger.warn('No API keys configured; authenticated routes will reject all requests');
+  Log("backend", "warn", "auth", "No API keys configured");
+}
+
+// Read the key from X-API-Key or an "Authorization: Bearer <key>" header
+const extractApiKey = (req) => {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) return headerKey.trim();
+
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  return null;
+};
+
+// Owner of the API key sent with the request, or null. Unlike authenticate,
+// this never rejects the request.
+const identifyOwner = (req) => {
+  const key = extractApiKey(req);
+  return key ? apiKeys.get(hashKey(key)) || null : null;
+};
+
+// Whether the request carries the metrics bearer token (METRICS_TOKEN).
+// Always false when no token is configured.
+const hasMetricsToken = (req) => {
+  const expected = process.env.METRICS_TOKEN || '';
+  if (!expected) return false;
+
+  const authorization = req.get('Authorization') || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '';
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(expected));
+};
+
+// Express middleware: require a valid API key and attach the caller's identity.
+// Sets req.owner (link owner id) and req.apiKeyId (non-reversible key id for logs).
+const authenticate = (req, res, next) => {
+  // Let CORS preflight through untouched
+  if (req.method === 'OPTIONS') return next();
+
+  const key = extractApiKey(req);
+
+  if (!key) {
+    logger.warn('Missing API key', { method: req.method, url: req.url, ip: anonymizeIP(req.ip) });
+    Log("backend", "warn", "auth", `Missing API key: ${req.method} ${req.url}`);
+    return res.status(401).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      message: 'API key required',
+      errors: ['Provide an API key via the X-API-Key or Authorization: Bearer header']
+    });
+  }
+
+  const keyHash = hashKey(key);
+  const owner = apiKeys.get(keyHash);
+
+  if (!owner) {
+    logger.warn('Invalid API key', { method: req.method, url: req.url, ip: anonymizeIP(req.ip) });
+    Log("backend", "warn", "auth", `Invalid API key: ${req.method} ${req.url}`);
+    return res.status(401).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      message: 'Invalid API key',
+      errors: ['The provided API key is not recognized']
+    });
+  }
+
+  req.owner = owner;
+  req.apiKeyId = keyHash.slice(0, 12);
+  next();
+};
+
+module.exports = {
+  authenticate,
+  isAdmin,
+  extractApiKey,
+  identifyOwner,
+  hasMetricsToken,
+  loadApiKeys,
+  hashKey
+};
@@ -1,9 +1,12 @@
 const fs = require('fs');
 const path = require('path');
+const { anonymizeIP } = require('../utils/privacy');
+const { recordHttpRequest } = require('../utils/metrics');
 
 class Logger {
   constructor() {
-    this.logDir = path.join(__dirname, '../../logs');
+    // LOG_DIR lets tests and deployments keep logs outside the source tree
+    this.logDir = process.env.LOG_DIR || path.join(__dirname, '../../logs');
     this.ensureLogDir();
   }
 
@@ -63,7 +66,7 @@ const requestLogger = (req, res, next) => {
   logger.info('Incoming Request', {
     method: req.method,
     url: req.url,
-    ip: req.ip || req.connection.remoteAddress,
+    ip: anonymizeIP(req.ip || req.connection.remoteAddress),
     userAgent: req.get('User-Agent'),
     timestamp: new Date().toISOString()
   });
@@ -78,8 +81,9 @@ const requestLogger = (req, res, next) => {
       url: req.url,
       statusCode: res.statusCode,
       duration: `${duration}ms`,
-      ip: req.ip || req.connection.remoteAddress
+      ip: anonymizeIP(req.ip || req.connection.remoteAddress)
     });
+    recordHttpRequest(req, res.statusCode, duration);
 
     originalEnd.call(this, chunk, encoding);
   };
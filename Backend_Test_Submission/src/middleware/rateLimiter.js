@@ -0,0 +1,186 @@
+const UrlHelpers = require('../utils/helpers');
+const { parseCsv } = require('../utils/csv');
+const { anonymizeIP } = require('../utils/privacy');
+const { logger } = require('./logger');
+const { Log } = require('../Logging-Middleware/logger');
+
+// In-memory token bucket store. Any object exposing the same
+// take(keys, { capacity, refillPerSecond }, tokens) method can be passed to
+// createRateLimiter to share budgets across instances; take may return a
+// promise, so a Redis-backed store (e.g. one running a Lua script) fits too.
+class MemoryBucketStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.buckets = new Map();
+
+    // Drop buckets that have refilled completely so idle clients do not pile up
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  refill(bucket, { capacity, refillPerSecond }, now) {
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+    bucket.updatedAt = now;
+  }
+
+  // Consume `tokens` tokens from every bucket in `keys`, or from none of
+  // them when any is short. Returns each bucket's state after the attempt.
+  take(keys, { capacity, refillPerSecond }, tokens = 1) {
+    const now = Date.now();
+    const buckets = keys.map(key => {
+      let bucket = this.buckets.get(key);
+
+      if (!bucket) {
+        bucket = { tokens: capacity, updatedAt: now, capacity, refillPerSecond };
+        this.buckets.set(key, bucket);
+      } else {
+        this.refill(bucket, { capacity, refillPerSecond }, now);
+      }
+      return bucket;
+    });
+
+    const allowed = buckets.every(bucket => bucket.tokens >= tokens);
+
+    return buckets.map(bucket => {
+      const enough = bucket.tokens >= tokens;
+      if (allowed) {
+        bucket.tokens -= tokens;
+      }
+
+      return {
+        allowed: enough,
+        limit: capacity,
+        remaining: Math.floor(bucket.tokens),
+        // Seconds until the bucket is full again
+        resetSeconds: Math.ceil((capacity - bucket.tokens) / refillPerSecond),
+        // Seconds until enough tokens are available
+        retryAfterSeconds: enough ? 0 : Math.ceil((tokens - bucket.tokens) / refillPerSecond)
+      };
+    });
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      this.refill(bucket, bucket, now);
+      if (bucket.tokens >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+const defaultStore = new MemoryBucketStore();
+
+// Build an Express middleware enforcing a token bucket per client IP and,
+// when the request is authenticated, per API key as well.
+// `max` tokens are allowed per `windowSeconds`, refilled continuously. Each
+// request spends `cost(req)` tokens (one by default), capped at `max` so an
+// oversized request empties the bucket instead of never passing.
+const createRateLimiter = ({ name, max, windowSeconds, store = defaultStore, enabled = true, cost = () => 1 }) => {
+  const bucketOptions = { capacity: max, refillPerSecond: max / windowSeconds };
+
+  return async (req, res, next) => {
+    if (!enabled) return next();
+
+    const tokens = Math.min(Math.max(1, cost(req)), max);
+
+    const clientIP = UrlHelpers.getClientIP(req);
+    const keys = [`${name}:ip:${clientIP}`];
+    if (req.apiKeyId) {
+      keys.push(`${name}:key:${req.apiKeyId}`);
+    }
+
+    let results;
+    try {
+      results = await store.take(keys, bucketOptions, tokens);
+    } catch (error) {
+      return next(error);
+    }
+
+    // Report the most restrictive bucket
+    const result = results.reduce((worst, current) => {
+      if (worst.allowed !== current.allowed) return worst.allowed ? current : worst;
+      return current.remaining < worst.remaining ? current : worst;
+    });
+
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds)
+    });
+
+    if (result.allowed) return next();
+
+    logger.warn('Rate limit exceeded', {
+      limiter: name,
+      ip: anonymizeIP(clientIP),
+      apiKeyId: req.apiKeyId,
+      method: req.method,
+      url: req.url
+    });
+    Log("backend", "warn", "middleware", `Rate limit exceeded (${name}) for ${anonymizeIP(clientIP)}`);
+
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    res.status(429).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      message: 'Too many requests',
+      errors: [`Rate limit exceeded, retry in ${result.retryAfterSeconds} seconds`]
+    });
+  };
+};
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// Link creation budget (POST /shorturls and /webhooks)
+const createLimiter = createRateLimiter({
+  name: 'create',
+  max: parseInt(process.env.RATE_LIMIT_CREATE_MAX, 10) || 30,
+  windowSeconds: parseInt(process.env.RATE_LIMIT_CREATE_WINDOW_SECONDS, 10) || 60,
+  enabled: RATE_LIMIT_ENABLED
+});
+
+// Redirect budget (GET /:shortcode)
+const redirectLimiter = createRateLimiter({
+  name: 'redirect',
+  max: parseInt(process.env.RATE_LIMIT_REDIRECT_MAX, 10) || 300,
+  windowSeconds: parseInt(process.env.RATE_LIMIT_REDIRECT_WINDOW_SECONDS, 10) || 60,
+  enabled: RATE_LIMIT_ENABLED
+});
+
+// Items in a bulk create body: a JSON array, { urls } or { links }, or CSV
+// rows after the header. Bodies that are none of these count as one item.
+const bulkItemCount = (req) => {
+  if (typeof req.body === 'string') return parseCsv(req.body).rows.length - 1;
+
+  const items = Array.isArray(req.body) ? req.body : req.body && (req.body.urls || req.body.links);
+  return Array.isArray(items) ? items.length : 1;
+};
+
+// Bulk creation budget in links, not requests (POST /shorturls/batch and
+// /shorturls/import, dry runs included since they validate every row)
+const bulkLimiter = createRateLimiter({
+  name: 'bulk',
+  max: parseInt(process.env.RATE_LIMIT_BULK_MAX, 10) || 10000,
+  windowSeconds: parseInt(process.env.RATE_LIMIT_BULK_WINDOW_SECONDS, 10) || 3600,
+  enabled: RATE_LIMIT_ENABLED,
+  cost: bulkItemCount
+});
+
+// Password attempts on protected links (POST /:shortcode)
+const passwordLimiter = createRateLimiter({
+  name: 'password',
+  max: parseInt(process.env.RATE_LIMIT_PASSWORD_MAX, 10) || 5,
+  windowSeconds: parseInt(process.env.RATE_LIMIT_PASSWORD_WINDOW_SECONDS, 10) || 300,
+  enabled: RATE_LIMIT_ENABLED
+});
+
+module.exports = {
+  MemoryBucketStore,
+  createRateLimiter,
+  createLimiter,
+  bulkLimiter,
+  redirectLimiter,
+  passwordLimiter
+};
@@ -1,128 +1,803 @@
 const { logger } = require('../middleware/logger');
 const { Log } = require('../Logging-Middleware/logger');
+const MemoryStore = require('../storage/MemoryStore');
+const { aggregateClicks } = require('../utils/analytics');
+const { parseUserAgent } = require('../utils/userAgent');
+const UrlHelpers = require('../utils/helpers');
+const { anonymizeIP, isPrivacyEnabled } = require('../utils/privacy');
+const { DEFAULT_DOMAIN, linkId } = require('../utils/domains');
+const { CLICK_THRESHOLDS, emitWebhookEvent } = require('../utils/webhooks');
+const { recordLinkCreated, recordCleanup } = require('../utils/metrics');
+
+// A visitor is counted again once this long has passed since their last click
+const UNIQUE_VISITOR_WINDOW_MS = (parseInt(process.env.UNIQUE_VISITOR_WINDOW_MINUTES, 10) || 24 * 60) * 60 * 1000;
+
+// Consecutive wrong passwords a client may enter for a link before it is
+// locked out of that link. Each further failure doubles the lockout, up to
+// the maximum; streaks idle for longer than the maximum are forgotten.
+const PASSWORD_LOCKOUT_ATTEMPTS = parseInt(process.env.PASSWORD_LOCKOUT_ATTEMPTS, 10) || 5;
+const PASSWORD_LOCKOUT_SECONDS = parseInt(process.env.PASSWORD_LOCKOUT_SECONDS, 10) || 60;
+const PASSWORD_LOCKOUT_MAX_SECONDS = parseInt(process.env.PASSWORD_LOCKOUT_MAX_SECONDS, 10) || 60 * 60;
+
+const isValidDate = (value) => value instanceof Date && !Number.isNaN(value.getTime());
 
 class UrlModel {
-  constructor() {
-    // In-memory storage for URLs
-    this.urls = new Map();
-    // In-memory storage for click analytics
-    this.analytics = new Map();
+  constructor(store = new MemoryStore()) {
+    // Storage backend for URLs and click analytics
+    this.store = store;
+    // Wrong password streaks: link id -> client -> { failures, lockedUntil, lastFailureAt }.
+    // Per client, so one visitor guessing cannot lock everyone else out.
+    this.passwordFailures = new Map();
   }
 
-  // Create a new short URL entry
-  create(shortcode, originalUrl, expiryDate, createdAt = new Date()) {
+  // Swap the storage backend (done once at startup)
+  useStore(store) {
+    this.store = store;
+
+    logger.info('Storage backend configured', { driver: store.name });
+    Log("backend", "info", "db", `Storage backend configured: ${store.name}`);
+  }
+
+  // Storage backend health details (throws when it cannot be used)
+  checkStorage() {
+    return this.store.check();
+  }
+
+  // Create a new short URL entry (on a branded domain if `domain` is given)
+  create(shortcode, originalUrl, expiryDate, {
+    domain = null,
+    createdAt = new Date(),
+    activeFrom = null,
+    owner = null,
+    passwordHash = null,
+    maxClicks = null,
+    rules = null,
+    variants = null,
+    stickyVariants = false,
+    utm = null,
+    forwardQuery = false,
+    redirectStatus = 302,
+    title = null,
+    description = null,
+    tags = [],
+    collection = null
+  } = {}) {
     const urlData = {
+      id: linkId(domain, shortcode),
       shortcode,
+      domain,
       originalUrl,
       createdAt,
+      activeFrom,
       expiryDate,
+      owner,
+      passwordHash,
+      maxClicks,
+      rules,
+      variants,
+      stickyVariants,
+      utm,
+      forwardQuery,
+      redirectStatus,
+      title,
+      description,
+      tags,
+      collection,
       isActive: true
     };
+    // Derived values are computed before saving so a bad record (e.g. an
+    // invalid date) throws without leaving a half-created link behind
+    const event = this.eventData(urlData);
 
-    this.urls.set(shortcode, urlData);
-
-    // Initialize analytics for this shortcode
-    this.analytics.set(shortcode, {
-      totalClicks: 0,
-      clicks: []
-    });
+    // Saving also initializes analytics for this shortcode
+    this.store.saveUrl(urlData);
 
     logger.info('Short URL created', {
       shortcode,
+      domain,
       originalUrl,
-      expiryDate: expiryDate.toISOString()
+      owner,
+      passwordProtected: Boolean(passwordHash),
+      maxClicks,
+      ...(activeFrom && { activeFrom: event.activeFrom }),
+      expiryDate: event.expiryDate
     });
     Log("backend", "info", "handler", `Short URL created: ${shortcode}`);
 
+    emitWebhookEvent('link.created', event, { owner });
+    recordLinkCreated();
+
     return urlData;
   }
 
-  // Find URL by shortcode
-  findByShortcode(shortcode) {
-    const urlData = this.urls.get(shortcode);
+  // Link fields included in webhook payloads (no secrets or visitor data)
+  eventData(urlData) {
+    return {
+      shortcode: urlData.shortcode,
+      domain: urlData.domain || null,
+      originalUrl: urlData.originalUrl,
+      owner: urlData.owner || null,
+      createdAt: urlData.createdAt.toISOString(),
+      activeFrom: urlData.activeFrom ? urlData.activeFrom.toISOString() : null,
+      expiryDate: urlData.expiryDate.toISOString(),
+      isActive: urlData.isActive,
+      maxClicks: urlData.maxClicks || null,
+      title: urlData.title || null,
+      tags: urlData.tags || [],
+      collection: urlData.collection || null
+    };
+  }
+
+  // Clicks left before a click-limited link is exhausted (null when unlimited).
+  // Every redirect counts, bot or not: the bot flag comes from the client's
+  // User-Agent. Link unfurlers should use the preview link, which never redirects.
+  remainingClicks(urlData) {
+    if (!urlData.maxClicks) return null;
+
+    const analytics = this.store.getAnalytics(MemoryStore.linkIdOf(urlData));
+    return Math.max(0, urlData.maxClicks - (analytics ? analytics.totalClicks : 0));
+  }
+
+  // Id of the link `shortcode` on `domain`. Links created before branded
+  // domains were configured keep their bare shortcode and belong to the default domain.
+  findId(shortcode, domain = null) {
+    const id = linkId(domain, shortcode);
+    if (domain && domain === DEFAULT_DOMAIN && !this.store.hasUrl(id)) {
+      const legacy = this.store.getUrl(shortcode);
+      if (legacy && !legacy.domain) return shortcode;
+    }
+    return id;
+  }
+
+  // Storage id of an entry
+  idOf(urlData) {
+    return MemoryStore.linkIdOf(urlData);
+  }
+
+  // Resolve a link id to its entry and redirect state:
+  // 'active', 'missing', 'inactive' (deactivated), 'scheduled' (before activeFrom),
+  // 'expired' or 'exhausted' (click limit reached)
+  lookup(id) {
+    const urlData = this.store.getUrl(id);
 
     if (!urlData) {
-      logger.warn('Short URL not found', { shortcode });
-      Log("backend", "warn", "handler", `Short URL not found: ${shortcode}`);
+      return { state: 'missing', urlData: null };
+    }
+
+    if (!urlData.isActive) {
+      return { state: 'inactive', urlData };
+    }
+
+    if (urlData.activeFrom && new Date() < urlData.activeFrom) {
+      return { state: 'scheduled', urlData };
+    }
+
+    if (new Date() > urlData.expiryDate) {
+      return { state: 'expired', urlData };
+    }
+
+    if (this.remainingClicks(urlData) === 0) {
+      return { state: 'exhausted', urlData };
+    }
+
+    return { state: 'active', urlData };
+  }
+
+  // Find URL by link id (only links that can currently be redirected)
+  findByShortcode(id) {
+    const { state, urlData } = this.lookup(id);
+
+    if (state === 'missing') {
+      logger.warn('Short URL not found', { id });
+      Log("backend", "warn", "handler", `Short URL not found: ${id}`);
+      return null;
+    }
+
+    if (state === 'inactive') {
+      logger.warn('Short URL is deactivated', { id });
+      Log("backend", "warn", "handler", `Short URL deactivated: ${id}`);
+      return null;
+    }
+
+    if (state === 'scheduled') {
+      logger.warn('Short URL is not yet active', {
+        id,
+        activeFrom: urlData.activeFrom.toISOString()
+      });
+      Log("backend", "warn", "handler", `Short URL not yet active: ${id}`);
       return null;
     }
 
     // Check if URL has expired
-    if (new Date() > urlData.expiryDate) {
+    if (state === 'expired') {
       logger.warn('Short URL has expired', {
-        shortcode,
+        id,
         expiryDate: urlData.expiryDate.toISOString()
       });
-      Log("backend", "warn", "handler", `Short URL expired: ${shortcode}`);
+      Log("backend", "warn", "handler", `Short URL expired: ${id}`);
+      return null;
+    }
+
+    if (state === 'exhausted') {
+      logger.warn('Short URL click limit reached', { id, maxClicks: urlData.maxClicks });
+      Log("backend", "warn", "handler", `Short URL click limit reached: ${id}`);
       return null;
     }
 
     return urlData;
   }
 
-  // Check if shortcode exists
-  exists(shortcode) {
-    return this.urls.has(shortcode);
+  // Check whether a link belongs to the given owner
+  isOwnedBy(id, owner) {
+    const urlData = this.store.getUrl(id);
+    return Boolean(urlData && owner && urlData.owner === owner);
   }
 
-  // Record a click/visit
-  recordClick(shortcode, clickData) {
-    const analytics = this.analytics.get(shortcode);
+  // Update destination, expiry or active flag of an existing entry
+  update(id, changes) {
+    const urlData = this.store.getUrl(id);
 
-    if (!analytics) {
-      logger.error('Analytics not found for shortcode', { shortcode });
-      Log("backend", "error", "handler", `No analytics for shortcode: ${shortcode}`);
-      return false;
+    if (!urlData) {
+      logger.warn('Short URL not found for update', { id });
+      Log("backend", "warn", "handler", `Short URL not found for update: ${id}`);
+      return null;
     }
 
+    const updated = {
+      ...urlData,
+      ...changes,
+      id,
+      updatedAt: new Date()
+    };
+
+    this.store.saveUrl(updated);
+
+    // A new password starts with a clean slate
+    if (changes.passwordHash !== undefined) {
+      this.passwordFailures.delete(id);
+    }
+
+    logger.info('Short URL updated', {
+      id,
+      changes: Object.keys(changes)
+    });
+    Log("backend", "info", "handler", `Short URL updated: ${id}`);
+
+    emitWebhookEvent('link.updated', { ...this.eventData(updated), changes: Object.keys(changes) }, { owner: updated.owner });
+
+    return updated;
+  }
+
+  // Permanently remove an entry and its analytics
+  delete(id) {
+    const urlData = this.store.getUrl(id);
+    const deleted = this.store.deleteUrl(id);
+    this.passwordFailures.delete(id);
+
+    if (deleted) {
+      logger.info('Short URL deleted', { id });
+      Log("backend", "info", "handler", `Short URL deleted: ${id}`);
+      emitWebhookEvent('link.deleted', this.eventData(urlData), { owner: urlData.owner });
+    }
+
+    return deleted;
+  }
+
+  // Check if a link id exists
+  exists(id) {
+    return this.store.hasUrl(id);
+  }
+
+  // Whether the visitor clicked this link within the rolling window
+  seenRecently(analytics, visitorId, now) {
+    const windowStart = now - UNIQUE_VISITOR_WINDOW_MS;
+
+    // Clicks are appended in time order, so scan newest first
+    for (let i = analytics.clicks.length - 1; i >= 0; i--) {
+      const click = analytics.clicks[i];
+      if (new Date(click.timestamp).getTime() < windowStart) return false;
+      if (click.visitorId === visitorId) return true;
+    }
+    return false;
+  }
+
+  // Record a click/visit.
+  // Returns { recorded: true, remainingClicks } or { recorded: false, reason }.
+  // The click budget check and the write happen synchronously, so concurrent
+  // requests cannot overspend a click-limited link.
+  recordClick(id, clickData) {
+    const urlData = this.store.getUrl(id);
+    const existing = this.store.getAnalytics(id);
+
+    if (!urlData || !existing) {
+      logger.error('Analytics not found for link', { id });
+      Log("backend", "error", "handler", `No analytics for link: ${id}`);
+      return { recorded: false, reason: 'missing' };
+    }
+
+    // Bots are recorded too but flagged so reports can separate them
+    const now = new Date();
+    const agent = parseUserAgent(clickData.userAgent);
+    const visitorId = UrlHelpers.hashVisitor(clickData.ip, clickData.userAgent);
+
+    // In privacy mode only the anonymized IP and parsed user agent are kept
     const click = {
-      timestamp: new Date().toISOString(),
-      ip: clickData.ip,
-      userAgent: clickData.userAgent,
+      timestamp: now.toISOString(),
+      ip: anonymizeIP(clickData.ip),
+      ...(!isPrivacyEnabled() && { userAgent: clickData.userAgent }),
+      ...agent,
+      visitorId,
+      isUnique: !agent.isBot && !this.seenRecently(existing, visitorId, now.getTime()),
       referrer: clickData.referrer || 'direct',
-      location: clickData.location || 'unknown'
+      location: clickData.location || 'unknown',
+      // Redirect rule that chose the destination ('default' for the fallback)
+      rule: clickData.rule || 'default',
+      ...(clickData.variant && { variant: clickData.variant })
     };
 
-    analytics.clicks.push(click);
-    analytics.totalClicks++;
+    if (this.remainingClicks(urlData) === 0) {
+      logger.warn('Click rejected, click limit reached', { id, maxClicks: urlData.maxClicks });
+      Log("backend", "warn", "handler", `Click limit reached for link: ${id}`);
+      return { recorded: false, reason: 'exhausted' };
+    }
+
+    const analytics = this.store.addClick(id, click);
 
     logger.info('Click recorded', {
-      shortcode,
+      id,
       totalClicks: analytics.totalClicks,
+      isBot: click.isBot,
       clickData: click
     });
-    Log("backend", "info", "handler", `Click recorded for shortcode: ${shortcode}`);
+    Log("backend", "info", "handler", `Click recorded for link: ${id}`);
+
+    const remainingClicks = this.remainingClicks(urlData);
+    this.emitClickEvents(urlData, analytics, click, remainingClicks);
+
+    return { recorded: true, remainingClicks };
+  }
+
+  // Webhook events for a recorded click: every click, human click count
+  // thresholds and the click budget running out
+  emitClickEvents(urlData, analytics, click, remainingClicks) {
+    const { owner } = urlData;
+    const humanClicks = analytics.totalClicks - (analytics.botClicks || 0);
+    const stats = { totalClicks: analytics.totalClicks, humanClicks, remainingClicks };
+
+    emitWebhookEvent('link.clicked', {
+      ...this.eventData(urlData),
+      ...stats,
+      click: {
+        timestamp: click.timestamp,
+        isBot: click.isBot,
+        isUnique: click.isUnique,
+        browser: click.browser,
+        os: click.os,
+        device: click.device,
+        country: click.location && click.location.country,
+        rule: click.rule,
+        ...(click.variant && { variant: click.variant })
+      }
+    }, { owner });
+
+    if (!click.isBot && CLICK_THRESHOLDS.includes(humanClicks)) {
+      emitWebhookEvent('link.click_threshold', { ...this.eventData(urlData), ...stats, threshold: humanClicks }, { owner });
+    }
+
+    if (remainingClicks === 0) {
+      emitWebhookEvent('link.exhausted', { ...this.eventData(urlData), ...stats }, { owner });
+    }
+  }
+
+  // Seconds until a client locked out of a link by wrong passwords may try again (0 when open)
+  passwordLockout(id, client) {
+    const streaks = this.passwordFailures.get(id);
+    const streak = streaks && streaks.get(client);
+    if (!streak || !streak.lockedUntil) return 0;
+    return Math.max(0, Math.ceil((streak.lockedUntil - Date.now()) / 1000));
+  }
+
+  // Count a wrong password a client entered for a protected link, locking
+  // the client out once its streak reaches PASSWORD_LOCKOUT_ATTEMPTS
+  recordFailedPassword(id, client) {
+    const analytics = this.store.incrementCounter(id, 'failedPasswordAttempts');
+    if (!analytics) return false;
+
+    const now = Date.now();
+    const streaks = this.passwordFailures.get(id) || new Map();
+    for (const [key, { lockedUntil, lastFailureAt }] of streaks) {
+      if (Math.max(lockedUntil || 0, lastFailureAt + PASSWORD_LOCKOUT_MAX_SECONDS * 1000) < now) {
+        streaks.delete(key);
+      }
+    }
+
+    const streak = streaks.get(client) || { failures: 0, lockedUntil: null };
+    streak.failures++;
+    streak.lastFailureAt = now;
+
+    const extra = streak.failures - PASSWORD_LOCKOUT_ATTEMPTS;
+    if (extra >= 0) {
+      const seconds = Math.min(PASSWORD_LOCKOUT_SECONDS * 2 ** Math.min(extra, 20), PASSWORD_LOCKOUT_MAX_SECONDS);
+      streak.lockedUntil = now + seconds * 1000;
+
+      logger.warn('Client locked out after failed password attempts', { id, failures: streak.failures, lockoutSeconds: seconds });
+      Log("backend", "warn", "handler", `Client locked out of link ${id} for ${seconds}s after ${streak.failures} failed password attempts`);
+    }
+    streaks.set(client, streak);
+    this.passwordFailures.set(id, streaks);
+
+    logger.warn('Failed password attempt', {
+      id,
+      failedPasswordAttempts: analytics.failedPasswordAttempts
+    });
+    Log("backend", "warn", "handler", `Failed password attempt for link: ${id}`);
 
     return true;
   }
 
-  // Get analytics for a shortcode
-  getAnalytics(shortcode) {
-    const urlData = this.urls.get(shortcode);
-    const analytics = this.analytics.get(shortcode);
+  // The client entered the right password; its wrong password streak starts over
+  clearFailedPasswords(id, client) {
+    const streaks = this.passwordFailures.get(id);
+    if (!streaks) return;
+
+    streaks.delete(client);
+    if (streaks.size === 0) {
+      this.passwordFailures.delete(id);
+    }
+  }
+
+  // Get analytics for a link
+  getAnalytics(id) {
+    const urlData = this.store.getUrl(id);
+    const analytics = this.store.getAnalytics(id);
 
     if (!urlData || !analytics) {
-      logger.warn('Analytics or URL not found', { shortcode });
-      Log("backend", "warn", "handler", `Analytics or URL not found for: ${shortcode}`);
+      logger.warn('Analytics or URL not found', { id });
+      Log("backend", "warn", "handler", `Analytics or URL not found for: ${id}`);
       return null;
     }
 
+    const { state } = this.lookup(id);
+
     return {
-      shortcode,
+      shortcode: urlData.shortcode,
+      domain: urlData.domain || null,
       originalUrl: urlData.originalUrl,
+      owner: urlData.owner || null,
       createdAt: urlData.createdAt.toISOString(),
+      activeFrom: urlData.activeFrom ? urlData.activeFrom.toISOString() : null,
       expiryDate: urlData.expiryDate.toISOString(),
+      ...(urlData.updatedAt && { updatedAt: urlData.updatedAt.toISOString() }),
       totalClicks: analytics.totalClicks,
+      humanClicks: analytics.totalClicks - (analytics.botClicks || 0),
+      botClicks: analytics.botClicks || 0,
+      uniqueVisitors: analytics.uniqueVisitors || 0,
+      passwordProtected: Boolean(urlData.passwordHash),
+      failedPasswordAttempts: analytics.failedPasswordAttempts || 0,
+      maxClicks: urlData.maxClicks || null,
+      remainingClicks: this.remainingClicks(urlData),
+      rules: urlData.rules || [],
+      variants: this.variantBreakdown(urlData, analytics),
+      stickyVariants: Boolean(urlData.stickyVariants),
+      utm: urlData.utm || null,
+      forwardQuery: Boolean(urlData.forwardQuery),
+      redirectStatus: urlData.redirectStatus || 302,
+      title: urlData.title || null,
+      description: urlData.description || null,
+      tags: urlData.tags || [],
+      collection: urlData.collection || null,
       clicks: analytics.clicks,
-      isActive: urlData.isActive && new Date() <= urlData.expiryDate
+      state,
+      isActive: state === 'active'
+    };
+  }
+
+  // Per-variant totals for A/B links. Click counters survive retention purges;
+  // human clicks and unique visitors come from the retained click records.
+  variantBreakdown(urlData, analytics) {
+    if (!urlData.variants) return [];
+
+    const totalWeight = urlData.variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+    return urlData.variants.map(variant => {
+      const clicks = analytics.clicks.filter(click => click.variant === variant.name);
+      const humans = clicks.filter(click => !click.isBot);
+
+      return {
+        name: variant.name,
+        url: variant.url,
+        weight: variant.weight,
+        share: Math.round((variant.weight / totalWeight) * 1000) / 10,
+        totalClicks: (analytics.variantClicks && analytics.variantClicks[variant.name]) || 0,
+        humanClicks: humans.length,
+        uniqueVisitors: new Set(humans.filter(click => click.visitorId).map(click => click.visitorId)).size
+      };
+    });
+  }
+
+  // Aggregated analytics over a time range with a paginated raw click list
+  queryAnalytics(id, { from, to, interval, top, page, limit }) {
+    const urlData = this.store.getUrl(id);
+    const analytics = this.store.getAnalytics(id);
+
+    if (!urlData || !analytics) {
+      logger.warn('Analytics or URL not found', { id });
+      Log("backend", "warn", "handler", `Analytics or URL not found for: ${id}`);
+      return null;
+    }
+
+    const { clicks, humanClicks, botClicks, uniqueVisitors, timeSeries, breakdowns } = aggregateClicks(analytics.clicks, { from, to, interval, top });
+    const offset = (page - 1) * limit;
+
+    return {
+      shortcode: urlData.shortcode,
+      domain: urlData.domain || null,
+      range: {
+        from: from.toISOString(),
+        to: to.toISOString()
+      },
+      interval,
+      totalClicks: analytics.totalClicks,
+      clicksInRange: clicks.length,
+      humanClicks,
+      botClicks,
+      uniqueVisitors,
+      timeSeries,
+      breakdowns,
+      clicks: {
+        page,
+        limit,
+        total: clicks.length,
+        totalPages: Math.ceil(clicks.length / limit),
+        items: clicks.slice(offset, offset + limit)
+      }
+    };
+  }
+
+  // Drop raw click records older than the retention period.
+  // Counters (total, bot, unique) are kept so aggregate totals stay intact.
+  purgeOldClicks(retentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let purgedCount = 0;
+
+    for (const urlData of this.store.listUrls()) {
+      const analytics = this.store.getAnalytics(MemoryStore.linkIdOf(urlData));
+      if (!analytics) continue;
+
+      const kept = analytics.clicks.filter(click => new Date(click.timestamp).getTime() >= cutoff);
+      if (kept.length === analytics.clicks.length) continue;
+
+      purgedCount += analytics.clicks.length - kept.length;
+      this.store.saveAnalytics(MemoryStore.linkIdOf(urlData), {
+        ...analytics,
+        clicks: kept,
+        purgedClicks: (analytics.purgedClicks || 0) + analytics.clicks.length - kept.length
+      });
+    }
+
+    if (purgedCount > 0) {
+      this.store.compact();
+      logger.info('Purged old click records', { count: purgedCount, retentionDays });
+      Log("backend", "info", "cron_job", `Purged ${purgedCount} click records older than ${retentionDays} days`);
+    }
+
+    return purgedCount;
+  }
+
+  // Filtered, sorted page of links with keyset (cursor) pagination.
+  // `after` is the [sortValue, id] of the last item of the previous page.
+  // Returns { items, hasMore } where items carry their state and click counts.
+  listLinks({ filters = {}, sort = 'created', order = 'desc', after = null, limit = 20 } = {}) {
+    const { owner, domain, destinationDomain, status, createdFrom, createdTo, search, tag, collection } = filters;
+    const needle = search ? search.toLowerCase() : null;
+
+    const matches = [];
+    let unreadable = 0;
+    for (const urlData of this.store.listUrls()) {
+      // Entries with a missing or corrupt date cannot be sorted or shown
+      if (!isValidDate(urlData.createdAt) || !isValidDate(urlData.expiryDate)) {
+        unreadable++;
+        continue;
+      }
+
+      if (owner && urlData.owner !== owner) continue;
+      if (domain !== undefined && (urlData.domain || null) !== domain) continue;
+      if (createdFrom && urlData.createdAt < createdFrom) continue;
+      if (createdTo && urlData.createdAt > createdTo) continue;
+      if (tag && !(urlData.tags || []).includes(tag)) continue;
+      if (collection && urlData.collection !== collection) continue;
+
+      if (destinationDomain) {
+        const host = new URL(urlData.originalUrl).hostname.toLowerCase();
+        if (host !== destinationDomain && !host.endsWith(`.${destinationDomain}`)) continue;
+      }
+
+      if (needle && !urlData.shortcode.toLowerCase().includes(needle) &&
+        !urlData.originalUrl.toLowerCase().includes(needle) &&
+        !(urlData.title || '').toLowerCase().includes(needle)) continue;
+
+      const id = MemoryStore.linkIdOf(urlData);
+      const { state } = this.lookup(id);
+      if (status && state !== status) continue;
+
+      const analytics = this.store.getAnalytics(id);
+      const totalClicks = analytics ? analytics.totalClicks : 0;
+      const sortValue = sort === 'clicks' ? totalClicks
+        : sort === 'expiry' ? urlData.expiryDate.getTime()
+          : urlData.createdAt.getTime();
+
+      matches.push({ id, sortValue, urlData, state, analytics });
+    }
+
+    if (unreadable > 0) {
+      logger.warn('Skipped links with invalid dates while listing', { skipped: unreadable });
+      Log("backend", "warn", "db", `Skipped ${unreadable} links with invalid dates while listing`);
+    }
+
+    // Ties on the sort value are broken by id so the order is total
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = (a, b) => direction * ((a.sortValue - b.sortValue) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    matches.sort(compare);
+
+    const start = after
+      ? matches.findIndex(match => compare(match, { sortValue: after[0], id: after[1] }) > 0)
+      : 0;
+    const page = start === -1 ? [] : matches.slice(start, start + limit);
+
+    return {
+      hasMore: start !== -1 && start + limit < matches.length,
+      items: page.map(({ id, sortValue, urlData, state, analytics }) => ({
+        id,
+        sortValue,
+        shortcode: urlData.shortcode,
+        domain: urlData.domain || null,
+        originalUrl: urlData.originalUrl,
+        owner: urlData.owner || null,
+        title: urlData.title || null,
+        tags: urlData.tags || [],
+        collection: urlData.collection || null,
+        createdAt: urlData.createdAt.toISOString(),
+        expiryDate: urlData.expiryDate.toISOString(),
+        state,
+        isActive: state === 'active',
+        totalClicks: analytics ? analytics.totalClicks : 0,
+        humanClicks: analytics ? analytics.totalClicks - (analytics.botClicks || 0) : 0
+      }))
     };
   }
 
+  // Group names of a link: its tags, or its collection
+  groupNames(urlData, kind) {
+    if (kind === 'tag') return urlData.tags || [];
+    return urlData.collection ? [urlData.collection] : [];
+  }
+
+  // Links of `owner` in the tag or collection `name`
+  linksInGroup(owner, kind, name) {
+    return this.store.listUrls().filter(urlData =>
+      urlData.owner === owner && this.groupNames(urlData, kind).includes(name)
+    );
+  }
+
+  // All tags or collections used by `owner`, with link and click counts
+  listGroups(owner, kind) {
+    const groups = new Map();
+
+    for (const urlData of this.store.listUrls()) {
+      if (urlData.owner !== owner) continue;
+
+      const analytics = this.store.getAnalytics(MemoryStore.linkIdOf(urlData));
+      const totalClicks = analytics ? analytics.totalClicks : 0;
+
+      this.groupNames(urlData, kind).forEach(name => {
+        const group = groups.get(name) || { name, links: 0, totalClicks: 0 };
+        group.links++;
+        group.totalClicks += totalClicks;
+        groups.set(name, group);
+      });
+    }
+
+    return Array.from(groups.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Rename a tag or collection on all of the owner's links; returns the number of links changed
+  renameGroup(owner, kind, name, newName) {
+    const links = this.linksInGroup(owner, kind, name);
+
+    links.forEach(urlData => {
+      const changes = kind === 'tag'
+        ? { tags: Array.from(new Set(urlData.tags.map(tag => (tag === name ? newName : tag)))) }
+        : { collection: newName };
+      this.update(MemoryStore.linkIdOf(urlData), changes);
+    });
+
+    logger.info('Link group renamed', { owner, kind, name, newName, links: links.length });
+    Log("backend", "info", "handler", `Renamed ${kind} ${name} on ${links.length} links`);
+
+    return links.length;
+  }
+
+  // Remove a tag or collection from all of the owner's links (the links stay)
+  removeGroup(owner, kind, name) {
+    const links = this.linksInGroup(owner, kind, name);
+
+    links.forEach(urlData => {
+      const changes = kind === 'tag'
+        ? { tags: urlData.tags.filter(tag => tag !== name) }
+        : { collection: null };
+      this.update(MemoryStore.linkIdOf(urlData), changes);
+    });
+
+    logger.info('Link group removed', { owner, kind, name, links: links.length });
+    Log("backend", "info", "handler", `Removed ${kind} ${name} from ${links.length} links`);
+
+    return links.length;
+  }
+
+  // Analytics aggregated over every link in a tag or collection
+  groupAnalytics(owner, kind, name, { from, to, interval, top }) {
+    const links = this.linksInGroup(owner, kind, name);
+    if (links.length === 0) return null;
+
+    const perLink = links.map(urlData => {
+      const analytics = this.store.getAnalytics(MemoryStore.linkIdOf(urlData)) || { totalClicks: 0, botClicks: 0, clicks: [] };
+      return { urlData, analytics };
+    });
+
+    const allClicks = perLink.flatMap(({ analytics }) => analytics.clicks);
+    const { clicks, humanClicks, botClicks, uniqueVisitors, timeSeries, breakdowns } = aggregateClicks(allClicks, { from, to, interval, top });
+
+    const fromTime = from.getTime();
+    const toTime = to.getTime();
+    const linkBreakdown = perLink
+      .map(({ urlData, analytics }) => ({
+        shortcode: urlData.shortcode,
+        domain: urlData.domain || null,
+        title: urlData.title || null,
+        totalClicks: analytics.totalClicks,
+        clicksInRange: analytics.clicks.filter(click => {
+          const time = new Date(click.timestamp).getTime();
+          return time >= fromTime && time <= toTime;
+        }).length
+      }))
+      .sort((a, b) => b.clicksInRange - a.clicksInRange || b.totalClicks - a.totalClicks)
+      .slice(0, top);
+
+    return {
+      [kind]: name,
+      links: links.length,
+      range: {
+        from: from.toISOString(),
+        to: to.toISOString()
+      },
+      interval,
+      totalClicks: perLink.reduce((sum, { analytics }) => sum + analytics.totalClicks, 0),
+      clicksInRange: clicks.length,
+      humanClicks,
+      botClicks,
+      uniqueVisitors,
+      timeSeries,
+      breakdowns: {
+        ...breakdowns,
+        links: linkBreakdown
+      }
+    };
+  }
+
+  // Number of links that currently redirect
+  countActive() {
+    let count = 0;
+    for (const urlData of this.store.listUrls()) {
+      if (this.lookup(MemoryStore.linkIdOf(urlData)).state === 'active') count++;
+    }
+    return count;
+  }
+
   // Get all URLs (for debugging)
   getAllUrls() {
     const urls = [];
-    for (const [shortcode, urlData] of this.urls) {
-      const analytics = this.analytics.get(shortcode);
+    for (const urlData of this.store.listUrls()) {
+      const analytics = this.store.getAnalytics(MemoryStore.linkIdOf(urlData));
       urls.push({
         ...urlData,
         totalClicks: analytics ? analytics.totalClicks : 0
@@ -131,20 +806,24 @@ class UrlModel {
     return urls;
   }
 
-  // Clean up expired URLs (optional maintenance function)
-  cleanupExpired() {
-    const now = new Date();
+  // Delete links that expired more than `retentionDays` ago. Until then
+  // they stay stored so their short URL keeps answering 410 Gone.
+  cleanupExpired(retentionDays = 0) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
     let cleanedCount = 0;
 
-    for (const [shortcode, urlData] of this.urls) {
-      if (now > urlData.expiryDate) {
-        this.urls.delete(shortcode);
-        this.analytics.delete(shortcode);
+    for (const urlData of this.store.listUrls()) {
+      if (cutoff > urlData.expiryDate) {
+        this.store.deleteUrl(MemoryStore.linkIdOf(urlData));
         cleanedCount++;
+        emitWebhookEvent('link.expired', this.eventData(urlData), { owner: urlData.owner });
       }
     }
 
+    recordCleanup(cleanedCount);
+
     if (cleanedCount > 0) {
+      this.store.compact();
       logger.info('Cleaned up expired URLs', { count: cleanedCount });
       Log("backend", "info", "cron_job", `Cleaned up ${cleanedCount} expired URLs`);
     }
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { logger } = require('../middleware/logger');
+const { Log } = require('../Logging-Middleware/logger');
+const MemoryStore = require('../storage/MemoryStore');
+
+// Failed deliveries kept for inspection and manual retry (oldest dropped first)
+const DEAD_LETTER_LIMIT = parseInt(process.env.WEBHOOK_DEAD_LETTER_LIMIT, 10) || 1000;
+
+class WebhookModel {
+  constructor(store = new MemoryStore()) {
+    // Subscriptions live in the same storage backend as links
+    this.store = store;
+    // Dead letters are kept in memory only
+    this.deadLetters = [];
+  }
+
+  useStore(store) {
+    this.store = store;
+  }
+
+  // Register a subscription; the signing secret is generated here
+  create(owner, { url, events, description = null }) {
+    const webhook = {
+      id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+      owner,
+      url,
+      events,
+      description,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      createdAt: new Date().toISOString()
+    };
+
+    this.store.saveWebhook(webhook);
+
+    logger.info('Webhook subscription created', { id: webhook.id, owner, url, events });
+    Log("backend", "info", "handler", `Webhook subscription created: ${webhook.id}`);
+
+    return webhook;
+  }
+
+  findById(id) {
+    return this.store.getWebhook(id);
+  }
+
+  listByOwner(owner) {
+    return this.store.listWebhooks().filter(webhook => webhook.owner === owner);
+  }
+
+  delete(id) {
+    const deleted = this.store.deleteWebhook(id);
+
+    if (deleted) {
+      logger.info('Webhook subscription deleted', { id });
+      Log("backend", "info", "handler", `Webhook subscription deleted: ${id}`);
+    }
+
+    return deleted;
+  }
+
+  // Subscriptions of `owner` that want events of this type
+  subscribersFor(type, owner) {
+    return this.store.listWebhooks().filter(webhook =>
+      webhook.owner === owner && (webhook.events.includes('*') || webhook.events.includes(type))
+    );
+  }
+
+  addDeadLetter(entry) {
+    this.deadLetters.push(entry);
+    if (this.deadLetters.length > DEAD_LETTER_LIMIT) {
+      this.deadLetters.shift();
+    }
+
+    logger.error('Webhook delivery moved to dead-letter list', {
+      deliveryId: entry.deliveryId,
+      webhookId: entry.webhookId,
+      type: entry.type,
+      attempts: entry.attempts,
+      lastError: entry.lastError
+    });
+    Log("backend", "error", "handler", `Webhook delivery failed permanently: ${entry.deliveryId}`);
+  }
+
+  listDeadLetters(owner) {
+    return this.deadLetters.filter(entry => entry.owner === owner);
+  }
+
+  // Remove and return a dead letter (e.g. to retry it)
+  takeDeadLetter(deliveryId, owner) {
+    const index = this.deadLetters.findIndex(entry => entry.deliveryId === deliveryId && entry.owner === owner);
+    if (index === -1) return null;
+    return this.deadLetters.splice(index, 1)[0];
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookModel();
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const UrlModel = require('../models/UrlModel');
+const UrlHelpers = require('../utils/helpers');
+const { logger } = require('../middleware/logger');
+const { Log } = require('../Logging-Middleware/logger'); // ✅ Remote logger
+const { parseAnalyticsQuery } = require('../utils/analytics');
+const { normalizeTag, isValidTag, isValidCollection } = require('../utils/linkMeta');
+
+// Tags and collections are not stored separately: they exist while links use
+// them, so both are managed the same way. Links in a group are listed with
+// GET /shorturls?tag=... or ?collection=...
+const GROUPS = [
+  {
+    kind: 'tag',
+    path: '/tags',
+    label: 'Tag',
+    normalize: normalizeTag,
+    isValid: isValidTag,
+    invalidMessage: 'name must be 1-32 characters of letters, digits, "-" or "_"'
+  },
+  {
+    kind: 'collection',
+    path: '/collections',
+    label: 'Collection',
+    normalize: name => (typeof name === 'string' ? name.trim() : name),
+    isValid: isValidCollection,
+    invalidMessage: 'name must be 1-64 characters of letters, digits, spaces, ".", "-" or "_"'
+  }
+];
+
+const sendError = (req, res, message, error) => {
+  logger.error(message, {
+    error: error.message,
+    stack: error.stack,
+    owner: req.owner
+  });
+  Log("backend", "error", "handler", `${message}: ${error.message}`);
+
+  res.status(500).json(
+    UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred'])
+  );
+};
+
+const sendNotFound = (res, group, name) => res.status(404).json(
+  UrlHelpers.formatResponse(false, null, `${group.label} not found`, [`None of your links use the ${group.kind} "${name}"`])
+);
+
+GROUPS.forEach(group => {
+  // GET /tags, /collections - List the caller's tags or collections with counts
+  router.get(group.path, (req, res) => {
+    try {
+      const groups = UrlModel.listGroups(req.owner, group.kind);
+
+      Log("backend", "info", "handler", `Listed ${groups.length} ${group.kind} groups`);
+
+      res.status(200).json(
+        UrlHelpers.formatResponse(true, { [`${group.kind}s`]: groups }, `${group.label}s`)
+      );
+
+    } catch (error) {
+      sendError(req, res, `Error listing ${group.kind}s`, error);
+    }
+  });
+
+  // GET /tags/:name/analytics, /collections/:name/analytics - Aggregated analytics
+  router.get(`${group.path}/:name/analytics`, (req, res) => {
+    try {
+      const name = group.normalize(req.params.name);
+      const links = UrlModel.linksInGroup(req.owner, group.kind, name);
+
+      if (links.length === 0) return sendNotFound(res, group, name);
+
+      const firstCreated = new Date(links.reduce((earliest, urlData) => Math.min(earliest, urlData.createdAt.getTime()), Infinity));
+      const { from, to, interval, top, errors } = parseAnalyticsQuery(req.query, firstCreated);
+
+      if (errors.length > 0) {
+        logger.warn(`Invalid ${group.kind} analytics query`, { name, errors });
+        Log("backend", "warn", "handler", `Invalid ${group.kind} analytics query for: ${name}`);
+        return res.status(400).json(
+          UrlHelpers.formatResponse(false, null, 'Invalid analytics query', errors)
+        );
+      }
+
+      const analytics = UrlModel.groupAnalytics(req.owner, group.kind, name, { from, to, interval, top });
+
+      logger.info(`${group.label} analytics retrieved`, { name, links: analytics.links, clicksInRange: analytics.clicksInRange });
+      Log("backend", "info", "handler", `Analytics retrieved for ${group.kind}: ${name}`);
+
+      res.status(200).json(analytics);
+
+    } catch (error) {
+      sendError(req, res, `Error retrieving ${group.kind} analytics`, error);
+    }
+  });
+
+  // PATCH /tags/:name, /collections/:name - Rename on all of the caller's links
+  router.patch(`${group.path}/:name`, (req, res) => {
+    try {
+      const name = group.normalize(req.params.name);
+      const newName = group.normalize(req.body.name);
+
+      if (!group.isValid(newName)) {
+        return res.status(400).json(
+          UrlHelpers.formatResponse(false, null, `Invalid ${group.kind} name`, [group.invalidMessage])
+        );
+      }
+
+      if (UrlModel.linksInGroup(req.owner, group.kind, name).length === 0) {
+        return sendNotFound(res, group, name);
+      }
+
+      const updated = UrlModel.renameGroup(req.owner, group.kind, name, newName);
+
+      res.status(200).json(
+        UrlHelpers.formatResponse(true, { [group.kind]: newName, links: updated }, `${group.label} renamed`)
+      );
+
+    } catch (error) {
+      sendError(req, res, `Error renaming ${group.kind}`, error);
+    }
+  });
+
+  // DELETE /tags/:name, /collections/:name - Remove from all links (links are kept)
+  router.delete(`${group.path}/:name`, (req, res) => {
+    try {
+      const name = group.normalize(req.params.name);
+
+      if (UrlModel.linksInGroup(req.owner, group.kind, name).length === 0) {
+        return sendNotFound(res, group, name);
+      }
+
+      const updated = UrlModel.removeGroup(req.owner, group.kind, name);
+
+      res.status(200).json(
+        UrlHelpers.formatResponse(true, { [group.kind]: name, links: updated }, `${group.label} removed`)
+      );
+
+    } catch (error) {
+      sendError(req, res, `Error removing ${group.kind}`, error);
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../middleware/logger');
+const { Log } = require('../Logging-Middleware/logger'); // ✅ Remote logger
+const { checkReadiness } = require('../utils/health');
+const { identifyOwner, hasMetricsToken } = require('../middleware/auth');
+
+const SERVICE = 'URL Shortener Microservice';
+
+// Probes must never be answered from a cache
+router.use('/health', (req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+
+// GET /health/live - Liveness: the process is up and serving requests.
+// Stays 200 while shutting down so the instance is not restarted mid-drain.
+router.get('/health/live', (req, res) => {
+  res.status(200).json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    service: SERVICE,
+    uptimeSeconds: Math.round(process.uptime())
+  });
+});
+
+// Component details (paths, endpoints, errors, memory figures) are only shown
+// to callers with an API key or the metrics token; others see check statuses
+const canSeeDetails = (req) => hasMetricsToken(req) || Boolean(identifyOwner(req));
+
+const summarize = (components) =>
+  Object.fromEntries(Object.entries(components).map(([name, { status }]) => [name, { status }]));
+
+// GET /health/ready (and GET /health) - Readiness: per-component status,
+// 503 when degraded or shutting down so load balancers stop sending traffic
+const readiness = async (req, res) => {
+  try {
+    const { status, failed, components } = await checkReadiness();
+
+    if (status !== 'ok') {
+      logger.warn('Readiness check failed', { status, failed });
+      Log("backend", "warn", "middleware", `Readiness check ${status}: ${failed.join(', ') || 'shutdown in progress'}`);
+    } else {
+      logger.info('Health check requested');
+    }
+
+    res.status(status === 'ok' ? 200 : 503).json({
+      status,
+      timestamp: new Date().toISOString(),
+      service: SERVICE,
+      uptimeSeconds: Math.round(process.uptime()),
+      components: canSeeDetails(req) ? components : summarize(components)
+    });
+
+  } catch (error) {
+    logger.error('Error running readiness checks', {
+      error: error.message,
+      stack: error.stack
+    });
+    Log("backend", "error", "middleware", `Error running readiness checks: ${error.message}`);
+
+    res.status(503).json({
+      status: 'degraded',
+      timestamp: new Date().toISOString(),
+      service: SERVICE,
+      error: 'Readiness checks could not be completed'
+    });
+  }
+};
+
+router.get('/health/ready', readiness);
+router.get('/health', readiness);
+
+module.exports = router;
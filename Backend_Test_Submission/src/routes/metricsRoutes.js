@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const UrlModel = require('../models/UrlModel');
+const UrlHelpers = require('../utils/helpers');
+const { logger } = require('../middleware/logger');
+const { Log, getDeliveryStats } = require('../Logging-Middleware/logger'); // ✅ Remote logger
+const { setScrapeValues, renderMetrics } = require('../utils/metrics');
+const { hasMetricsToken } = require('../middleware/auth');
+const { anonymizeIP } = require('../utils/privacy');
+
+// When set, scrapers must send "Authorization: Bearer <token>"
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+const isAuthorized = (req) => !METRICS_TOKEN || hasMetricsToken(req);
+
+// GET /metrics - Prometheus metrics in text exposition format
+router.get('/metrics', (req, res) => {
+  try {
+    if (!isAuthorized(req)) {
+      logger.warn('Unauthorized metrics scrape', { ip: anonymizeIP(req.ip) });
+      Log("backend", "warn", "auth", "Unauthorized metrics scrape");
+      return res.status(401).json(
+        UrlHelpers.formatResponse(false, null, 'Unauthorized', ['A valid metrics bearer token is required'])
+      );
+    }
+
+    setScrapeValues({
+      activeLinks: UrlModel.countActive(),
+      remoteLogFailures: getDeliveryStats().failed
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+
+  } catch (error) {
+    logger.error('Error rendering metrics', {
+      error: error.message,
+      stack: error.stack
+    });
+    Log("backend", "error", "handler", `Error rendering metrics: ${error.message}`);
+
+    res.status(500).json(
+      UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred'])
+    );
+  }
+});
+
+module.exports = router;
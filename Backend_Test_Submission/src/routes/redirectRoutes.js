@@ -4,93 +4,368 @@ const UrlModel = require('../models/UrlModel');
 const UrlHelpers = require('../utils/helpers');
 const { logger } = require('../middleware/logger');
 const { Log } = require('../Logging-Middleware/logger'); // ✅ Remote log
+const { redirectLimiter, passwordLimiter } = require('../middleware/rateLimiter');
+const { anonymizeIP, isPrivacyEnabled, stripQueryString } = require('../utils/privacy');
+const { renderPasswordPrompt } = require('../views/passwordPrompt');
+const { parseUserAgent } = require('../utils/userAgent');
+const { selectDestination } = require('../utils/redirectRules');
+const { applyQueryParams } = require('../utils/utm');
+const { checkDestination } = require('../utils/destinationPolicy');
+const { getPageTitle } = require('../utils/pageTitle');
+const { renderLinkPreview } = require('../views/linkPreview');
+const { resolveRedirectHost } = require('../utils/domains');
+const { recordRedirect } = require('../utils/metrics');
 
-// GET /:shortcode - Redirect to original URL
-router.get('/:shortcode', async (req, res) => {
+// Raw query string of the short URL request, without the leading "?"
+const incomingQueryString = (req) => {
+  const index = req.originalUrl.indexOf('?');
+  return index === -1 ? '' : req.originalUrl.slice(index + 1);
+};
+
+// Query string to carry over from a preview page, minus the preview flag itself
+const previewQueryString = (req) => {
+  const params = new URLSearchParams(incomingQueryString(req));
+  params.delete('preview');
+  return params.toString();
+};
+
+// 410 messages for links that exist but can no longer be followed
+const GONE_MESSAGES = {
+  expired: 'Short URL has expired',
+  inactive: 'Short URL has been deactivated',
+  exhausted: 'Short URL has reached its click limit'
+};
+
+const sendGone = (res, state) => res.status(410).json(
+  UrlHelpers.formatResponse(false, null, GONE_MESSAGES[state], [`The requested shortcode is ${state}`])
+);
+
+// Validate the shortcode and find a redirectable link on the request's domain.
+// Sends the 400/404/410 (or unknown host fallback) response itself and
+// returns null when there is none.
+const resolveLink = (req, res, logIP) => {
+  const { shortcode } = req.params;
+
+  const host = resolveRedirectHost(req);
+  if (host.redirectTo) {
+    logger.warn('Redirect request on unknown host', { host: req.hostname, shortcode, ip: logIP });
+    Log("backend", "warn", "handler", `Unknown host ${req.hostname}, sending to fallback`);
+    recordRedirect('unknown_host');
+    res.redirect(302, host.redirectTo);
+    return null;
+  }
+
+  // Validate shortcode format
+  if (!UrlHelpers.isValidShortcode(shortcode)) {
+    logger.warn('Invalid shortcode format in redirect request', { shortcode, ip: logIP });
+    Log("backend", "warn", "handler", `Invalid shortcode format: ${shortcode}`);
+    recordRedirect('invalid');
+    res.status(400).json(
+      UrlHelpers.formatResponse(false, null, 'Invalid shortcode format', ['Shortcode must be 3-20 alphanumeric characters'])
+    );
+    return null;
+  }
+
+  // Find the URL data
+  const { state, urlData } = host.notFound
+    ? { state: 'missing', urlData: null }
+    : UrlModel.lookup(UrlModel.findId(shortcode, host.domain));
+
+  if (state === 'missing') {
+    logger.warn('Shortcode not found for redirect', { shortcode, ip: logIP });
+    Log("backend", "warn", "handler", `Shortcode not found: ${shortcode}`);
+    recordRedirect('miss');
+    res.status(404).json(
+      UrlHelpers.formatResponse(false, null, 'Short URL not found', ['The requested shortcode does not exist'])
+    );
+    return null;
+  }
+
+  // Scheduled links exist but do not redirect before their launch time
+  if (state === 'scheduled') {
+    logger.warn('Short URL not yet active for redirect', { shortcode, ip: logIP });
+    Log("backend", "warn", "handler", `Short URL not yet active: ${shortcode}`);
+    recordRedirect('scheduled');
+    res.status(403).json(
+      UrlHelpers.formatResponse(false, { activeFrom: urlData.activeFrom.toISOString() }, 'Short URL is not yet active', [`The requested shortcode becomes active at ${urlData.activeFrom.toISOString()}`])
+    );
+    return null;
+  }
+
+  // Deactivated, expired and exhausted links are gone for good
+  if (state !== 'active') {
+    logger.warn('Short URL no longer available for redirect', { shortcode, state, ip: logIP });
+    Log("backend", "warn", "handler", `Short URL ${state}: ${shortcode}`);
+    recordRedirect(state);
+    sendGone(res, state);
+    return null;
+  }
+
+  return urlData;
+};
+
+// Work out where this visitor goes: per-link rules and A/B variants pick the
+// target, then UTM defaults and (if enabled) the visitor's own query are merged
+const resolveDestination = (req, urlData, { clientIP, location, incomingQuery }) => {
+  const userAgent = req.get('User-Agent') || 'Unknown';
+  const { device, os } = parseUserAgent(userAgent);
+  const { destination, rule, variant } = selectDestination(urlData, {
+    device,
+    os,
+    country: location.country,
+    acceptLanguage: req.get('Accept-Language'),
+    visitorId: UrlHelpers.hashVisitor(clientIP, userAgent)
+  });
+
+  return {
+    destination: applyQueryParams(destination, {
+      utm: urlData.utm,
+      forwardQuery: urlData.forwardQuery,
+      incomingQuery
+    }),
+    rule,
+    variant
+  };
+};
+
+// Record the click and send the visitor on to the destination.
+// Permanent statuses (301/308) may be cached by browsers, so repeat visits
+// from the same browser are not always counted.
+const completeRedirect = (req, res, urlData, { clientIP, logIP, status = 302 }) => {
+  const { shortcode } = urlData;
+
+  // Get geographical location from IP
+  const location = UrlHelpers.getLocationFromIP(clientIP);
+  const userAgent = req.get('User-Agent') || 'Unknown';
+
+  const { destination, rule, variant } = resolveDestination(req, urlData, {
+    clientIP,
+    location,
+    incomingQuery: incomingQueryString(req)
+  });
+
+  // Record the click analytics (the model anonymizes the IP before storage)
+  const clickData = {
+    ip: clientIP,
+    userAgent,
+    referrer: UrlHelpers.extractReferrer(req),
+    location: location,
+    rule,
+    variant
+  };
+
+  const click = UrlModel.recordClick(UrlModel.idOf(urlData), clickData);
+
+  // The click budget may have run out since the link was resolved
+  if (click.reason === 'exhausted') {
+    recordRedirect('exhausted');
+    return sendGone(res, 'exhausted');
+  }
+
+  if (!click.recorded) {
+    logger.error('Failed to record click analytics', { shortcode, ip: logIP });
+    Log("backend", "error", "handler", `Failed to record click for shortcode: ${shortcode}`);
+  }
+
+  // Single-use links must not be served from a cache
+  if (urlData.maxClicks) {
+    res.set('Cache-Control', 'no-store');
+  }
+
+  logger.info('Redirecting to original URL', {
+    shortcode,
+    domain: urlData.domain,
+    originalUrl: urlData.originalUrl,
+    destination,
+    rule,
+    variant,
+    ip: logIP,
+    status,
+    location: `${location.city}, ${location.country}`
+  });
+  Log("backend", "info", "handler", `Redirecting to: ${destination} for shortcode: ${shortcode}`);
+
+  // Perform the redirect
+  recordRedirect('hit');
+  res.redirect(status, destination);
+};
+
+// Render the preview/interstitial page (or JSON) instead of redirecting.
+// Previews do not count as clicks. The destination of a password protected
+// link is not revealed.
+const sendPreview = async (req, res, urlData, { clientIP, logIP }) => {
+  const { shortcode } = urlData;
+  const query = previewQueryString(req);
+  const continueUrl = `/${shortcode}${query ? `?${query}` : ''}`;
+
+  let destination = null;
+  const warnings = [];
+
+  if (urlData.passwordHash) {
+    warnings.push('This link is password protected.');
+  } else {
+    ({ destination } = resolveDestination(req, urlData, {
+      clientIP,
+      location: UrlHelpers.getLocationFromIP(clientIP),
+      incomingQuery: query
+    }));
+
+    // The policy may have changed since the link was created
+    const violations = await checkDestination(destination, { selfHosts: [req.hostname] });
+    violations.forEach(violation => warnings.push(violation.message));
+  }
+
+  const url = destination && new URL(destination);
+  if (url && url.protocol !== 'https:') {
+    warnings.push('The destination does not use an encrypted (HTTPS) connection.');
+  }
+  if ((urlData.rules && urlData.rules.length > 0) || urlData.variants) {
+    warnings.push('The destination may differ depending on your device, location or language.');
+  }
+
+  const preview = {
+    shortcode,
+    destination,
+    host: url ? url.hostname : null,
+    secure: url ? url.protocol === 'https:' : null,
+    // Only fetch the title of destinations that pass the policy
+    title: destination && warnings.length === 0 ? await getPageTitle(destination) : null,
+    redirectStatus: urlData.redirectStatus || 302,
+    expiresAt: urlData.expiryDate.toISOString(),
+    remainingClicks: UrlModel.remainingClicks(urlData),
+    passwordProtected: Boolean(urlData.passwordHash),
+    warnings
+  };
+
+  logger.info('Link preview served', { shortcode, warnings: warnings.length, ip: logIP });
+  Log("backend", "info", "handler", `Link preview served for shortcode: ${shortcode}`);
+
+  res.set('Cache-Control', 'no-store');
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.status(200).json(
+      UrlHelpers.formatResponse(true, { ...preview, continueUrl }, 'Link preview')
+    );
+  }
+  res.status(200).type('html').send(renderLinkPreview({ shortcode, continueUrl, preview }));
+};
+
+const sendPasswordPrompt = (req, res, status, shortcode, error) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(status).type('html').send(renderPasswordPrompt({ shortcode, query: incomingQueryString(req), error }));
+};
+
+const handleRedirectError = (req, res, error) => {
+  logger.error('Error processing redirect', { 
+    error: error.message, 
+    stack: error.stack,
+    shortcode: req.params.shortcode,
+    ip: anonymizeIP(UrlHelpers.getClientIP(req))
+  });
+
+  Log("backend", "error", "handler", `Exception during redirect: ${error.message}`);
+
+  res.status(500).json(
+    UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred during redirect'])
+  );
+};
+
+// GET /:shortcode+ - Preview where a short link leads without following it
+router.get('/:shortcode\\+', redirectLimiter, async (req, res) => {
+  try {
+    const clientIP = UrlHelpers.getClientIP(req);
+    const logIP = anonymizeIP(clientIP);
+
+    logger.info('Link preview requested', { shortcode: req.params.shortcode, ip: logIP });
+
+    const urlData = resolveLink(req, res, logIP);
+    if (!urlData) return;
+
+    await sendPreview(req, res, urlData, { clientIP, logIP });
+
+  } catch (error) {
+    handleRedirectError(req, res, error);
+  }
+});
+
+// GET /:shortcode - Redirect to original URL (?preview=1 shows the preview page)
+router.get('/:shortcode', redirectLimiter, async (req, res) => {
   try {
     const { shortcode } = req.params;
     const clientIP = UrlHelpers.getClientIP(req);
+    // IP as it may appear in logs under the configured privacy mode
+    const logIP = anonymizeIP(clientIP);
 
     logger.info('Redirect request received', { 
       shortcode,
-      ip: clientIP,
+      ip: logIP,
       userAgent: req.get('User-Agent'),
-      referrer: req.get('Referer')
+      referrer: isPrivacyEnabled() ? stripQueryString(req.get('Referer')) : req.get('Referer')
     });
 
-    // Validate shortcode format
-    if (!UrlHelpers.isValidShortcode(shortcode)) {
-      logger.warn('Invalid shortcode format in redirect request', { shortcode, ip: clientIP });
-      Log("backend", "warn", "handler", `Invalid shortcode format: ${shortcode}`);
-      return res.status(400).json(
-        UrlHelpers.formatResponse(false, null, 'Invalid shortcode format', ['Shortcode must be 3-20 alphanumeric characters'])
-      );
-    }
+    const urlData = resolveLink(req, res, logIP);
+    if (!urlData) return;
 
-    // Find the URL data
-    const urlData = UrlModel.findByShortcode(shortcode);
+    if (req.query.preview === '1') {
+      return await sendPreview(req, res, urlData, { clientIP, logIP });
+    }
 
-    if (!urlData) {
-      logger.warn('Shortcode not found or expired for redirect', { shortcode, ip: clientIP });
-      Log("backend", "warn", "handler", `Shortcode not found or expired: ${shortcode}`);
-      return res.status(404).json(
-        UrlHelpers.formatResponse(false, null, 'Short URL not found or has expired', ['The requested shortcode does not exist or has expired'])
-      );
+    // Protected links only redirect after the password form is submitted
+    if (urlData.passwordHash) {
+      logger.info('Password prompt served', { shortcode, ip: logIP });
+      return sendPasswordPrompt(req, res, 200, shortcode);
     }
 
-    // Get geographical location from IP
-    const location = UrlHelpers.getLocationFromIP(clientIP);
+    completeRedirect(req, res, urlData, { clientIP, logIP, status: urlData.redirectStatus || 302 });
 
-    // Record the click analytics
-    const clickData = {
-      ip: clientIP,
-      userAgent: req.get('User-Agent') || 'Unknown',
-      referrer: UrlHelpers.extractReferrer(req),
-      location: location
-    };
+  } catch (error) {
+    handleRedirectError(req, res, error);
+  }
+});
 
-    const clickRecorded = UrlModel.recordClick(shortcode, clickData);
+// POST /:shortcode - Submit the password of a protected link
+router.post('/:shortcode', passwordLimiter, async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+    const clientIP = UrlHelpers.getClientIP(req);
+    const logIP = anonymizeIP(clientIP);
+
+    logger.info('Password submission received', { shortcode, ip: logIP });
 
-    if (!clickRecorded) {
-      logger.error('Failed to record click analytics', { shortcode, clickData });
-      Log("backend", "error", "handler", `Failed to record click for shortcode: ${shortcode}`);
+    const urlData = resolveLink(req, res, logIP);
+    if (!urlData) return;
+
+    // Only protected links take a POST; the others are followed with a GET
+    if (!urlData.passwordHash) {
+      logger.warn('Password submitted for unprotected link', { shortcode, ip: logIP });
+      Log("backend", "warn", "handler", `Password submitted for unprotected link: ${shortcode}`);
+      res.set('Allow', 'GET');
+      return res.status(405).json(
+        UrlHelpers.formatResponse(false, null, 'Method not allowed', ['This short URL is not password protected'])
+      );
     }
 
-    logger.info('Redirecting to original URL', {
-      shortcode,
-      originalUrl: urlData.originalUrl,
-      ip: clientIP,
-      location: `${location.city}, ${location.country}`
-    });
-    Log("backend", "info", "handler", `Redirecting to: ${urlData.originalUrl} for shortcode: ${shortcode}`);
+    const id = UrlModel.idOf(urlData);
 
-    // Perform the redirect
-    res.redirect(302, urlData.originalUrl);
+    // A locked out client is refused, right password or not, until the lockout ends
+    const lockedSeconds = UrlModel.passwordLockout(id, clientIP);
+    if (lockedSeconds > 0) {
+      logger.warn('Password attempt from locked out client', { shortcode, ip: logIP, retryAfter: lockedSeconds });
+      res.set('Retry-After', String(lockedSeconds));
+      return sendPasswordPrompt(req, res, 429, shortcode, `Too many incorrect attempts, please try again in ${lockedSeconds} seconds.`);
+    }
 
-  } catch (error) {
-    logger.error('Error processing redirect', { 
-      error: error.message, 
-      stack: error.stack,
-      shortcode: req.params.shortcode,
-      ip: UrlHelpers.getClientIP(req)
-    });
+    if (!(await UrlHelpers.verifyPassword(req.body.password, urlData.passwordHash))) {
+      UrlModel.recordFailedPassword(id, clientIP);
+      return sendPasswordPrompt(req, res, 401, shortcode, 'Incorrect password, please try again.');
+    }
+    UrlModel.clearFailedPasswords(id, clientIP);
 
-    Log("backend", "error", "handler", `Exception during redirect: ${error.message}`);
+    // 303 so the browser follows up with a GET to the destination
+    completeRedirect(req, res, urlData, { clientIP, logIP, status: 303 });
 
-    res.status(500).json(
-      UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred during redirect'])
-    );
+  } catch (error) {
+    handleRedirectError(req, res, error);
   }
 });
 
-// Health check
-router.get('/health', (req, res) => {
-  logger.info('Health check requested');
-  res.status(200).json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    service: 'URL Shortener Microservice'
-  });
-});
-
 module.exports = router;
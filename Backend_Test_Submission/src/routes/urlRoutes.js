@@ -1,109 +1,915 @@
 const express = require('express');
+const QRCode = require('qrcode');
 const router = express.Router();
 const UrlModel = require('../models/UrlModel');
 const UrlHelpers = require('../utils/helpers');
 const { logger } = require('../middleware/logger');
 const { Log } = require('../Logging-Middleware/logger'); // ✅ Remote logger
+const { createLimiter, bulkLimiter } = require('../middleware/rateLimiter');
+const { parseAnalyticsQuery } = require('../utils/analytics');
+const { checkDestination } = require('../utils/destinationPolicy');
+const { validateRules, normalizeRules } = require('../utils/redirectRules');
+const { validateVariants, normalizeVariants } = require('../utils/variants');
+const { validateUtm, normalizeUtm } = require('../utils/utm');
+const { domainForRequest, isRegisteredDomain } = require('../utils/domains');
+const { isAdmin } = require('../middleware/auth');
+const { anonymizeIP } = require('../utils/privacy');
+const { validateMetadata, normalizeMetadata, normalizeTag } = require('../utils/linkMeta');
+const { toCsvRow, parseCsv } = require('../utils/csv');
+const {
+  EXPORT_FORMATS,
+  EXPORT_DATA,
+  LINK_COLUMNS,
+  CLICK_COLUMNS,
+  IMPORT_COLUMNS,
+  linkRecord,
+  linkCsvValues,
+  clickRecords,
+  clickCsvValues,
+  parseImportHeader,
+  csvRowToItem
+} = require('../utils/linkTransfer');
+
+// Maximum number of items accepted by POST /shorturls/batch
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 1000;
+
+// Limits for POST /shorturls/import (JSON bodies use the global BODY_LIMIT)
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS, 10) || 10000;
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '5mb';
+
+// Listing options for GET /shorturls
+const LIST_SORTS = ['created', 'expiry', 'clicks'];
+const LIST_STATUSES = ['active', 'inactive', 'scheduled', 'expired', 'exhausted'];
+
+// Opaque pagination cursor holding the [sortValue, id] of the last listed link
+const encodeCursor = (item) => Buffer.from(JSON.stringify([item.sortValue, item.id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const valid = Array.isArray(decoded) && decoded.length === 2 &&
+      Number.isFinite(decoded[0]) && typeof decoded[1] === 'string';
+    return valid ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Write a chunk of a streamed response, waiting while the client catches up
+const writeChunk = (res, chunk) => {
+  if (res.write(chunk)) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+const failure = (status, message, errors, data) => ({ error: { status, message, errors, ...(data && { data }) } });
+
+// Run the destination policy; returns a 422 failure or null when allowed
+const checkDestinationPolicy = async (req, url) => {
+  const violations = await checkDestination(url, { selfHosts: [req.hostname] });
+  if (violations.length === 0) return null;
+
+  return failure(
+    422,
+    'Destination URL not allowed',
+    violations.map(violation => `${violation.rule}: ${violation.message}`),
+    { violations }
+  );
+};
+
+// Validate redirect rules and run their destinations through the destination
+// policy. Returns { rules } (normalized) or a failure.
+const prepareRules = async (req, rules) => {
+  const errors = validateRules(rules);
+  if (errors.length > 0) {
+    logger.warn('Invalid redirect rules', { errors });
+    Log("backend", "warn", "handler", `Invalid redirect rules: ${errors.length} errors`);
+    return failure(400, 'Invalid redirect rules', errors);
+  }
+
+  for (const rule of rules) {
+    const policyFailure = await checkDestinationPolicy(req, rule.destination);
+    if (policyFailure) return policyFailure;
+  }
+
+  return { rules: normalizeRules(rules) };
+};
+
+// Validate A/B variants and run their URLs through the destination policy.
+// Returns { variants } (normalized) or a failure.
+const prepareVariants = async (req, variants) => {
+  const errors = validateVariants(variants);
+  if (errors.length > 0) {
+    logger.warn('Invalid A/B variants', { errors });
+    Log("backend", "warn", "handler", `Invalid A/B variants: ${errors.length} errors`);
+    return failure(400, 'Invalid A/B variants', errors);
+  }
+
+  for (const variant of variants) {
+    const policyFailure = await checkDestinationPolicy(req, variant.url);
+    if (policyFailure) return policyFailure;
+  }
+
+  return { variants: normalizeVariants(variants) };
+};
+
+const isValidMaxClicks = (maxClicks) =>
+  Number.isInteger(maxClicks) && maxClicks >= 1 && maxClicks <= 1000000;
+
+// Validate a create request and resolve the shortcode to use.
+// Returns { shortcode, validityMinutes, ...link options } or { error: { status, message, errors } }
+const prepareShortUrl = async (req, {
+  url,
+  validity,
+  shortcode,
+  domain,
+  password,
+  maxClicks,
+  activeFrom,
+  rules,
+  variants,
+  stickyVariants,
+  utm,
+  forwardQuery,
+  redirectStatus,
+  title,
+  description,
+  tags,
+  collection
+}) => {
+  // Validate required fields
+  if (!url) {
+    logger.warn('Missing required field: url');
+    Log("backend", "warn", "handler", "Missing required field: url");
+    return failure(400, 'URL is required', ['url field is missing']);
+  }
+
+  // Validate URL format
+  if (!UrlHelpers.isValidUrl(url)) {
+    logger.warn('Invalid URL format', { url });
+    Log("backend", "warn", "handler", `Invalid URL format: ${url}`);
+    return failure(400, 'Invalid URL format', ['Please provide a valid HTTP/HTTPS URL']);
+  }
+
+  const policyFailure = await checkDestinationPolicy(req, url);
+  if (policyFailure) return policyFailure;
+
+  // Links go on the requested domain, else the request host or default domain
+  const linkDomain = domainForRequest(req, domain);
+  if (linkDomain === undefined) {
+    logger.warn('Unknown domain for short URL', { domain });
+    Log("backend", "warn", "handler", `Unknown domain for short URL: ${domain}`);
+    return failure(400, 'Unknown domain', ['domain must be one of the registered short link domains']);
+  }
+
+  // Validate and set validity period (30 minutes when not given)
+  const validityMinutes = validity ? Number(validity) : 30;
+  if (!Number.isFinite(validityMinutes) || validityMinutes < 1 || validityMinutes > 525600) {
+    logger.warn('Invalid validity period', { validity: validityMinutes });
+    Log("backend", "warn", "handler", `Invalid validity period: ${validityMinutes}`);
+    return failure(400, 'Invalid validity period', ['Validity must be between 1 and 525600 minutes (1 year)']);
+  }
+
+  if (password !== undefined && password !== null && !UrlHelpers.isValidPassword(password)) {
+    logger.warn('Invalid password for short URL');
+    Log("backend", "warn", "handler", "Invalid password for short URL");
+    return failure(400, 'Invalid password', ['Password must be a string of 4-128 characters']);
+  }
+
+  if (maxClicks !== undefined && maxClicks !== null && !isValidMaxClicks(maxClicks)) {
+    logger.warn('Invalid click limit', { maxClicks });
+    Log("backend", "warn", "handler", `Invalid click limit: ${maxClicks}`);
+    return failure(400, 'Invalid click limit', ['maxClicks must be an integer between 1 and 1000000']);
+  }
+
+  const activeFromDate = UrlHelpers.parseActiveFrom(activeFrom);
+  if (activeFromDate === false) {
+    logger.warn('Invalid activation time', { activeFrom });
+    Log("backend", "warn", "handler", `Invalid activation time: ${activeFrom}`);
+    return failure(400, 'Invalid activation time', ['activeFrom must be an ISO 8601 date no more than 1 year ahead']);
+  }
+
+  let normalizedRules = null;
+  if (rules !== undefined && rules !== null) {
+    const preparedRules = await prepareRules(req, rules);
+    if (preparedRules.error) return preparedRules;
+    normalizedRules = preparedRules.rules;
+  }
+
+  let normalizedVariants = null;
+  if (variants !== undefined && variants !== null) {
+    const preparedVariants = await prepareVariants(req, variants);
+    if (preparedVariants.error) return preparedVariants;
+    normalizedVariants = preparedVariants.variants;
+  }
+
+  if (stickyVariants !== undefined && typeof stickyVariants !== 'boolean') {
+    return failure(400, 'Invalid A/B variants', ['stickyVariants must be a boolean']);
+  }
+
+  if (utm !== undefined && utm !== null) {
+    const utmErrors = validateUtm(utm);
+    if (utmErrors.length > 0) {
+      logger.warn('Invalid UTM parameters', { errors: utmErrors });
+      Log("backend", "warn", "handler", `Invalid UTM parameters: ${utmErrors.length} errors`);
+      return failure(400, 'Invalid UTM parameters', utmErrors);
+    }
+  }
+
+  if (forwardQuery !== undefined && typeof forwardQuery !== 'boolean') {
+    return failure(400, 'Invalid query forwarding option', ['forwardQuery must be a boolean']);
+  }
+
+  if (redirectStatus !== undefined && !UrlHelpers.isValidRedirectStatus(redirectStatus)) {
+    logger.warn('Invalid redirect status', { redirectStatus });
+    Log("backend", "warn", "handler", `Invalid redirect status: ${redirectStatus}`);
+    return failure(400, 'Invalid redirect status', ['redirectStatus must be one of 301, 302, 307 or 308']);
+  }
+
+  const metadataErrors = validateMetadata({ title, description, tags, collection });
+  if (metadataErrors.length > 0) {
+    logger.warn('Invalid link metadata', { errors: metadataErrors });
+    Log("backend", "warn", "handler", `Invalid link metadata: ${metadataErrors.length} errors`);
+    return failure(400, 'Invalid link metadata', metadataErrors);
+  }
+
+  const passwordHash = password ? await UrlHelpers.hashPassword(password) : null;
+  const options = {
+    ...normalizeMetadata({ title, description, tags, collection }),
+    domain: linkDomain,
+    passwordHash,
+    maxClicks: maxClicks || null,
+    activeFrom: activeFromDate,
+    rules: normalizedRules,
+    variants: normalizedVariants,
+    stickyVariants: Boolean(stickyVariants),
+    utm: utm ? normalizeUtm(utm) : null,
+    forwardQuery: Boolean(forwardQuery),
+    redirectStatus: redirectStatus || 302
+  };
+
+  // Validate custom shortcode if provided
+  if (shortcode) {
+    if (!UrlHelpers.isValidShortcode(shortcode)) {
+      logger.warn('Invalid shortcode format', { shortcode });
+      Log("backend", "warn", "handler", `Invalid shortcode format: ${shortcode}`);
+      return failure(400, 'Invalid shortcode format', ['Shortcode must be 3-20 alphanumeric characters']);
+    }
+
+    if (UrlHelpers.isReservedShortcode(shortcode)) {
+      logger.warn('Reserved shortcode requested', { shortcode });
+      Log("backend", "warn", "handler", `Reserved shortcode requested: ${shortcode}`);
+      return failure(409, 'Shortcode already exists', ['The provided shortcode is reserved']);
+    }
+
+    // Shortcodes only need to be unique within their domain
+    if (UrlModel.exists(UrlModel.findId(shortcode, linkDomain))) {
+      logger.warn('Shortcode already exists', { shortcode });
+      Log("backend", "warn", "handler", `Shortcode already exists: ${shortcode}`);
+      return failure(409, 'Shortcode already exists', ['The provided shortcode is already in use']);
+    }
+
+    return { shortcode, validityMinutes, ...options };
+  }
+
+  let finalShortcode;
+  let attempts = 0;
+  do {
+    finalShortcode = UrlHelpers.generateShortcode();
+    attempts++;
+    if (attempts > 10) {
+      logger.error('Failed to generate unique shortcode after 10 attempts');
+      Log("backend", "error", "handler", "Failed to generate unique shortcode after 10 attempts");
+      return failure(500, 'Unable to generate unique shortcode', ['Please try again']);
+    }
+  } while (UrlModel.exists(UrlModel.findId(finalShortcode, linkDomain)));
+
+  return { shortcode: finalShortcode, validityMinutes, ...options };
+};
+
+// Store a validated short URL and build the client-facing payload
+const createShortUrl = (req, url, { shortcode, validityMinutes, ...options }) => {
+  // Links scheduled for later are valid for the full period once they open
+  const start = options.activeFrom && options.activeFrom > new Date() ? options.activeFrom : new Date();
+  const expiryDate = UrlHelpers.calculateExpiryDate(validityMinutes, start);
+  const {
+    domain,
+    passwordHash,
+    maxClicks,
+    activeFrom,
+    rules,
+    variants,
+    stickyVariants,
+    utm,
+    forwardQuery,
+    redirectStatus,
+    title,
+    description,
+    tags,
+    collection
+  } = UrlModel.create(shortcode, url, expiryDate, { owner: req.owner, ...options });
+  const shortLink = UrlHelpers.generateShortUrl(req, shortcode, domain);
+
+  logger.info('Short URL created successfully', {
+    shortcode,
+    domain,
+    originalUrl: url,
+    shortLink,
+    expiryDate: expiryDate.toISOString()
+  });
+  Log("backend", "info", "handler", `Short URL created: ${shortcode}`);
+
+  return {
+    shortLink,
+    qrCode: UrlHelpers.generateQrUrl(req, shortcode, domain),
+    previewLink: UrlHelpers.generatePreviewUrl(req, shortcode, domain),
+    expiry: expiryDate.toISOString(),
+    ...(domain && { domain }),
+    ...(activeFrom && { activeFrom: activeFrom.toISOString() }),
+    ...(passwordHash && { passwordProtected: true }),
+    ...(maxClicks && { maxClicks }),
+    ...(rules && { rules }),
+    ...(variants && { variants, stickyVariants }),
+    ...(utm && { utm }),
+    ...(forwardQuery && { forwardQuery }),
+    ...(redirectStatus !== 302 && { redirectStatus }),
+    ...(title && { title }),
+    ...(description && { description }),
+    ...(tags.length > 0 && { tags }),
+    ...(collection && { collection })
+  };
+};
+
+// Link id addressed by a management request: the shortcode on the domain given
+// by ?domain= (or the default). Sends 400 and returns null for an unknown domain.
+const resolveLinkId = (req, res, shortcode) => {
+  const domain = domainForRequest(req, req.query.domain);
+
+  if (domain === undefined) {
+    logger.warn('Unknown domain in request', { domain: req.query.domain, method: req.method });
+    Log("backend", "warn", "handler", `Unknown domain: ${req.query.domain}`);
+    res.status(400).json(
+      UrlHelpers.formatResponse(false, null, 'Unknown domain', ['domain must be one of the registered short link domains'])
+    );
+    return null;
+  }
+
+  return UrlModel.findId(shortcode, domain);
+};
+
+// Send 404/403 unless the link exists and belongs to the authenticated caller
+const ensureOwnership = (req, res, id) => {
+  if (!UrlModel.exists(id)) {
+    logger.warn('Shortcode not found', { id, method: req.method });
+    Log("backend", "warn", "handler", `Shortcode not found: ${id}`);
+    res.status(404).json(
+      UrlHelpers.formatResponse(false, null, 'Short URL not found', ['The requested shortcode does not exist'])
+    );
+    return false;
+  }
+
+  if (!UrlModel.isOwnedBy(id, req.owner)) {
+    logger.warn('Access denied to short URL', { id, owner: req.owner, method: req.method });
+    Log("backend", "warn", "auth", `Access denied to short URL: ${id}`);
+    res.status(403).json(
+      UrlHelpers.formatResponse(false, null, 'Access denied', ['The requested short URL belongs to another owner'])
+    );
+    return false;
+  }
+
+  return true;
+};
 
 // POST /shorturls - Create a new short URL
-router.post('/shorturls', async (req, res) => {
+router.post('/shorturls', createLimiter, async (req, res) => {
   try {
-    const { url, validity, shortcode } = req.body;
+    const {
+      url,
+      validity,
+      shortcode,
+      domain,
+      password,
+      maxClicks,
+      activeFrom,
+      rules,
+      variants,
+      stickyVariants,
+      utm,
+      forwardQuery,
+      redirectStatus,
+      title,
+      description,
+      tags,
+      collection
+    } = req.body;
 
     logger.info('Create short URL request', { 
       url, 
       validity, 
       shortcode, 
-      ip: UrlHelpers.getClientIP(req) 
+      domain,
+      passwordProtected: Boolean(password),
+      maxClicks,
+      activeFrom,
+      rules: Array.isArray(rules) ? rules.length : undefined,
+      variants: Array.isArray(variants) ? variants.length : undefined,
+      utm,
+      forwardQuery,
+      redirectStatus,
+      tags,
+      collection,
+      owner: req.owner,
+      ip: anonymizeIP(UrlHelpers.getClientIP(req)) 
     });
 
-    // Validate required fields
-    if (!url) {
-      logger.warn('Missing required field: url');
-      Log("backend", "warn", "handler", "Missing required field: url");
-      return res.status(400).json(
-        UrlHelpers.formatResponse(false, null, 'URL is required', ['url field is missing'])
+    const prepared = await prepareShortUrl(req, {
+      url,
+      validity,
+      shortcode,
+      domain,
+      password,
+      maxClicks,
+      activeFrom,
+      rules,
+      variants,
+      stickyVariants,
+      utm,
+      forwardQuery,
+      redirectStatus,
+      title,
+      description,
+      tags,
+      collection
+    });
+
+    if (prepared.error) {
+      const { status, message, errors, data } = prepared.error;
+      return res.status(status).json(
+        UrlHelpers.formatResponse(false, data, message, errors)
       );
     }
 
-    // Validate URL format
-    if (!UrlHelpers.isValidUrl(url)) {
-      logger.warn('Invalid URL format', { url });
-      Log("backend", "warn", "handler", `Invalid URL format: ${url}`);
+    res.status(201).json(createShortUrl(req, url, prepared));
+
+  } catch (error) {
+    logger.error('Error creating short URL', { 
+      error: error.message, 
+      stack: error.stack,
+      requestBody: { ...req.body, ...(req.body.password && { password: '[redacted]' }) }
+    });
+    Log("backend", "error", "handler", `Error creating short URL: ${error.message}`);
+    
+    res.status(500).json(
+      UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred'])
+    );
+  }
+});
+
+// POST /shorturls/batch - Create many short URLs in one request
+router.post('/shorturls/batch', bulkLimiter, async (req, res) => {
+  try {
+    const items = Array.isArray(req.body) ? req.body : req.body.urls;
+
+    logger.info('Batch create short URL request', {
+      count: Array.isArray(items) ? items.length : 0,
+      ip: anonymizeIP(UrlHelpers.getClientIP(req))
+    });
+
+    if (!Array.isArray(items) || items.length === 0) {
+      logger.warn('Batch request without items');
+      Log("backend", "warn", "handler", "Batch request without items");
       return res.status(400).json(
-        UrlHelpers.formatResponse(false, null, 'Invalid URL format', ['Please provide a valid HTTP/HTTPS URL'])
+        UrlHelpers.formatResponse(false, null, 'URLs array is required', ['Provide a non-empty urls array of {url, validity, shortcode} items'])
       );
     }
 
-    // Validate and set validity period
-    let validityMinutes = validity || 30;
-    if (validityMinutes < 1 || validityMinutes > 525600) {
-      logger.warn('Invalid validity period', { validity: validityMinutes });
-      Log("backend", "warn", "handler", `Invalid validity period: ${validityMinutes}`);
+    if (items.length > MAX_BATCH_SIZE) {
+      logger.warn('Batch request too large', { count: items.length, max: MAX_BATCH_SIZE });
+      Log("backend", "warn", "handler", `Batch request too large: ${items.length}`);
       return res.status(400).json(
-        UrlHelpers.formatResponse(false, null, 'Invalid validity period', ['Validity must be between 1 and 525600 minutes (1 year)'])
+        UrlHelpers.formatResponse(false, null, 'Too many URLs in batch', [`A batch may contain at most ${MAX_BATCH_SIZE} items`])
       );
     }
 
-    let finalShortcode = shortcode;
+    // Items are handled one at a time, in order, so shortcode collisions within
+    // the batch are detected and one failure does not abort the rest
+    const results = [];
+    for (const [index, item] of items.entries()) {
+      if (!item || typeof item !== 'object') {
+        results.push({ index, success: false, status: 400, message: 'Invalid batch item', errors: ['Each item must be an object'] });
+        continue;
+      }
+
+      const url = typeof item.url === 'string' ? item.url.trim() : item.url;
+      const shortcode = typeof item.shortcode === 'string' ? item.shortcode.trim() : item.shortcode;
+
+      try {
+        const prepared = await prepareShortUrl(req, { ...item, url, shortcode });
+
+        if (prepared.error) {
+          results.push({ index, success: false, ...prepared.error });
+          continue;
+        }
+
+        results.push({ index, success: true, status: 201, ...createShortUrl(req, url, prepared) });
+      } catch (error) {
+        logger.error('Error creating short URL in batch', { index, error: error.message });
+        Log("backend", "error", "handler", `Error creating short URL in batch: ${error.message}`);
+        results.push({ index, success: false, status: 500, message: 'Internal server error', errors: ['An unexpected error occurred'] });
+      }
+    }
+
+    const created = results.filter(result => result.success).length;
+    const failed = results.length - created;
 
-    // Validate custom shortcode if provided
-    if (shortcode) {
-      if (!UrlHelpers.isValidShortcode(shortcode)) {
-        logger.warn('Invalid shortcode format', { shortcode });
-        Log("backend", "warn", "handler", `Invalid shortcode format: ${shortcode}`);
-        return res.status(400).json(
-          UrlHelpers.formatResponse(false, null, 'Invalid shortcode format', ['Shortcode must be 3-20 alphanumeric characters'])
-        );
+    logger.info('Batch create completed', { total: results.length, created, failed });
+    Log("backend", "info", "handler", `Batch create completed: ${created} created, ${failed} failed`);
+
+    // 201 when everything was created, 207 Multi-Status on partial or total failure
+    res.status(failed === 0 ? 201 : 207).json(
+      UrlHelpers.formatResponse(true, { total: results.length, created, failed, results })
+    );
+
+  } catch (error) {
+    logger.error('Error processing batch create', {
+      error: error.message,
+      stack: error.stack
+    });
+    Log("backend", "error", "handler", `Error processing batch create: ${error.message}`);
+
+    res.status(500).json(
+      UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred'])
+    );
+  }
+});
+
+// POST /shorturls/import - Create links from CSV (Content-Type: text/csv) or a
+// JSON array of create bodies. ?dryRun=true validates every row without creating.
+router.post('/shorturls/import', express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }), bulkLimiter, async (req, res) => {
+  try {
+    const dryRun = ['true', '1'].includes(req.query.dryRun);
+    const isCsv = typeof req.body === 'string';
+
+    logger.info('Import short URLs request', {
+      format: isCsv ? 'csv' : 'json',
+      dryRun,
+      owner: req.owner,
+      ip: anonymizeIP(UrlHelpers.getClientIP(req))
+    });
+
+    // Rows as { item, errors }; CSV cells are converted to create body fields
+    let rows;
+    if (isCsv) {
+      const { rows: records, error } = parseCsv(req.body);
+      const headerErrors = error ? [error] : [];
+      let columns = [];
+
+      if (!error && records.length > 0) {
+        const header = parseImportHeader(records[0]);
+        columns = header.columns;
+        headerErrors.push(...header.errors);
       }
 
-      if (UrlModel.exists(shortcode)) {
-        logger.warn('Shortcode already exists', { shortcode });
-        Log("backend", "warn", "handler", `Shortcode already exists: ${shortcode}`);
-        return res.status(409).json(
-          UrlHelpers.formatResponse(false, null, 'Shortcode already exists', ['The provided shortcode is already in use'])
+      if (headerErrors.length > 0) {
+        logger.warn('Invalid import file', { errors: headerErrors });
+        Log("backend", "warn", "handler", `Invalid import file: ${headerErrors.length} errors`);
+        return res.status(400).json(
+          UrlHelpers.formatResponse(false, null, 'Invalid CSV file', headerErrors)
         );
       }
+
+      rows = records.slice(1).map(cells => csvRowToItem(columns, cells));
     } else {
-      let attempts = 0;
-      do {
-        finalShortcode = UrlHelpers.generateShortcode();
-        attempts++;
-        if (attempts > 10) {
-          logger.error('Failed to generate unique shortcode after 10 attempts');
-          Log("backend", "error", "handler", "Failed to generate unique shortcode after 10 attempts");
-          return res.status(500).json(
-            UrlHelpers.formatResponse(false, null, 'Unable to generate unique shortcode', ['Please try again'])
-          );
+      const items = Array.isArray(req.body) ? req.body : req.body.links;
+      rows = Array.isArray(items)
+        ? items.map(item => (item && typeof item === 'object' && !Array.isArray(item)
+          ? { item, errors: [] }
+          : { item: {}, errors: ['Each row must be an object'] }))
+        : null;
+    }
+
+    if (!rows || rows.length === 0) {
+      logger.warn('Import request without rows');
+      Log("backend", "warn", "handler", "Import request without rows");
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'Nothing to import', [
+          `Send a CSV file with a header row (${IMPORT_COLUMNS.join(', ')}) as text/csv, or a JSON array of links`
+        ])
+      );
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      logger.warn('Import too large', { rows: rows.length, max: MAX_IMPORT_ROWS });
+      Log("backend", "warn", "handler", `Import too large: ${rows.length} rows`);
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'Too many rows to import', [`An import may contain at most ${MAX_IMPORT_ROWS} rows`])
+      );
+    }
+
+    // Rows are handled in order like a batch. A dry run creates nothing, so
+    // shortcodes claimed by earlier rows are tracked to report collisions.
+    const claimed = new Set();
+    const results = [];
+    for (const [index, { item, errors }] of rows.entries()) {
+      // Row 1 is the first row after the CSV header
+      const row = index + 1;
+
+      if (errors.length > 0) {
+        results.push({ row, success: false, status: 400, message: 'Invalid row', errors });
+        continue;
+      }
+
+      const url = typeof item.url === 'string' ? item.url.trim() : item.url;
+      const shortcode = typeof item.shortcode === 'string' ? item.shortcode.trim() : item.shortcode;
+
+      try {
+        const prepared = await prepareShortUrl(req, { ...item, url, shortcode });
+
+        if (prepared.error) {
+          results.push({ row, success: false, ...prepared.error });
+          continue;
         }
-      } while (UrlModel.exists(finalShortcode));
+
+        const id = UrlModel.findId(prepared.shortcode, prepared.domain);
+        if (shortcode && claimed.has(id)) {
+          results.push({ row, success: false, ...failure(409, 'Shortcode already exists', ['The shortcode is used by an earlier row']).error });
+          continue;
+        }
+        if (shortcode) claimed.add(id);
+
+        results.push(dryRun
+          ? { row, success: true, status: 200, shortcode: shortcode || null, ...(prepared.domain && { domain: prepared.domain }) }
+          : { row, success: true, status: 201, ...createShortUrl(req, url, prepared) });
+      } catch (error) {
+        logger.error('Error importing short URL', { row, error: error.message });
+        Log("backend", "error", "handler", `Error importing short URL: ${error.message}`);
+        results.push({ row, success: false, status: 500, message: 'Internal server error', errors: ['An unexpected error occurred'] });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    const failed = results.length - succeeded;
+
+    logger.info('Import completed', { total: results.length, succeeded, failed, dryRun });
+    Log("backend", "info", "handler", `Import ${dryRun ? 'dry run ' : ''}completed: ${succeeded} ok, ${failed} failed`);
+
+    if (dryRun) {
+      return res.status(200).json(
+        UrlHelpers.formatResponse(true, { dryRun, total: results.length, valid: succeeded, invalid: failed, results }, 'Import validated')
+      );
     }
 
-    const expiryDate = UrlHelpers.calculateExpiryDate(validityMinutes);
-    const urlData = UrlModel.create(finalShortcode, url, expiryDate);
-    const shortLink = UrlHelpers.generateShortUrl(req, finalShortcode);
+    // 201 when everything was created, 207 Multi-Status on partial or total failure
+    res.status(failed === 0 ? 201 : 207).json(
+      UrlHelpers.formatResponse(true, { dryRun, total: results.length, created: succeeded, failed, results })
+    );
 
-    logger.info('Short URL created successfully', {
-      shortcode: finalShortcode,
-      originalUrl: url,
-      shortLink,
-      expiryDate: expiryDate.toISOString()
+  } catch (error) {
+    logger.error('Error processing import', {
+      error: error.message,
+      stack: error.stack
     });
-    Log("backend", "info", "handler", `Short URL created: ${finalShortcode}`);
+    Log("backend", "error", "handler", `Error processing import: ${error.message}`);
+
+    res.status(500).json(
+      UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred'])
+    );
+  }
+});
+
+// Validate the filter and sort query shared by GET /shorturls and
+// GET /shorturls/export. Returns { filters, sort, order, errors, denied }.
+const parseListQuery = (req) => {
+  const {
+    owner,
+    domain,
+    destinationDomain,
+    status,
+    createdFrom,
+    createdTo,
+    q,
+    tag,
+    collection
+  } = req.query;
+  const sort = req.query.sort || 'created';
+  const order = req.query.order || 'desc';
+  const errors = [];
+
+  if (!LIST_SORTS.includes(sort)) {
+    errors.push(`sort must be one of: ${LIST_SORTS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    errors.push('order must be asc or desc');
+  }
+  if (status !== undefined && !LIST_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${LIST_STATUSES.join(', ')}`);
+  }
+  if (domain !== undefined && !isRegisteredDomain(domain)) {
+    errors.push('domain must be one of the registered short link domains');
+  }
+  if (q !== undefined && (typeof q !== 'string' || q.length > 200)) {
+    errors.push('q must be a string of at most 200 characters');
+  }
+  if (destinationDomain !== undefined && (typeof destinationDomain !== 'string' || !destinationDomain.trim())) {
+    errors.push('destinationDomain must be a hostname');
+  }
+  if (tag !== undefined && typeof tag !== 'string') {
+    errors.push('tag must be a string');
+  }
+  if (collection !== undefined && typeof collection !== 'string') {
+    errors.push('collection must be a string');
+  }
+
+  const range = {};
+  [['createdFrom', createdFrom], ['createdTo', createdTo]].forEach(([name, value]) => {
+    if (value === undefined) return;
+    const date = new Date(value);
+    if (typeof value !== 'string' || isNaN(date.getTime())) {
+      errors.push(`${name} must be a valid ISO 8601 date`);
+    } else {
+      range[name] = date;
+    }
+  });
+
+  // Callers see their own links; admins may list any owner's (or everyone's)
+  const denied = owner !== undefined && owner !== req.owner && !isAdmin(req.owner);
+
+  return {
+    filters: {
+      owner: isAdmin(req.owner) ? owner : req.owner,
+      domain: domain !== undefined ? domain.toLowerCase() : undefined,
+      destinationDomain: destinationDomain && destinationDomain.trim().toLowerCase(),
+      status,
+      createdFrom: range.createdFrom,
+      createdTo: range.createdTo,
+      search: q,
+      tag: tag && normalizeTag(tag),
+      collection: collection && collection.trim()
+    },
+    sort,
+    order,
+    errors,
+    denied
+  };
+};
+
+const sendListDenied = (req, res) => {
+  logger.warn('Listing of another owner denied', { owner: req.owner, requested: req.query.owner });
+  Log("backend", "warn", "auth", `Listing of another owner denied for: ${req.owner}`);
+  return res.status(403).json(
+    UrlHelpers.formatResponse(false, null, 'Access denied', ['You can only list your own short URLs'])
+  );
+};
+
+// GET /shorturls - List, search and filter links with cursor pagination
+router.get('/shorturls', (req, res) => {
+  try {
+    const { cursor } = req.query;
+    const limit = req.query.limit ? Number(req.query.limit) : 20;
+
+    logger.info('List short URLs request', { query: req.query, owner: req.owner });
+
+    const { filters, sort, order, errors, denied } = parseListQuery(req);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      errors.push('limit must be an integer between 1 and 100');
+    }
+
+    const after = cursor !== undefined ? decodeCursor(cursor) : null;
+    if (cursor !== undefined && !after) {
+      errors.push('cursor is invalid');
+    }
+
+    if (errors.length > 0) {
+      logger.warn('Invalid list query', { errors });
+      Log("backend", "warn", "handler", `Invalid list query: ${errors.length} errors`);
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'Invalid list query', errors)
+      );
+    }
+
+    if (denied) return sendListDenied(req, res);
+
+    const { items, hasMore } = UrlModel.listLinks({ filters, sort, order, after, limit });
+
+    Log("backend", "info", "handler", `Listed ${items.length} short URLs`);
+
+    res.status(200).json(
+      UrlHelpers.formatResponse(true, {
+        items: items.map(({ id, sortValue, ...item }) => ({
+          ...item,
+          shortLink: UrlHelpers.generateShortUrl(req, item.shortcode, item.domain)
+        })),
+        sort,
+        order,
+        limit,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null
+      }, 'Short URLs')
+    );
+
+  } catch (error) {
+    logger.error('Error listing short URLs', {
+      error: error.message,
+      stack: error.stack
+    });
+    Log("backend", "error", "handler", `Error listing short URLs: ${error.message}`);
+
+    res.status(500).json(
+      UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred'])
+    );
+  }
+});
+
+// GET /shorturls/export - Stream links (or their clicks) as CSV or NDJSON.
+// Takes the same filters and sort as GET /shorturls, without pagination.
+router.get('/shorturls/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    const data = req.query.data || 'links';
+
+    logger.info('Export short URLs request', { query: req.query, owner: req.owner });
 
-    res.status(201).json({
-      shortLink,
-      expiry: expiryDate.toISOString()
+    const { filters, sort, order, errors, denied } = parseListQuery(req);
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      errors.push(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    if (!EXPORT_DATA.includes(data)) {
+      errors.push(`data must be one of: ${EXPORT_DATA.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      logger.warn('Invalid export query', { errors });
+      Log("backend", "warn", "handler", `Invalid export query: ${errors.length} errors`);
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'Invalid export query', errors)
+      );
+    }
+
+    if (denied) return sendListDenied(req, res);
+
+    const { items } = UrlModel.listLinks({ filters, sort, order, limit: Infinity });
+    const filename = `${data}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.status(200);
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
     });
 
+    if (format === 'csv') {
+      res.write(toCsvRow(data === 'links' ? LINK_COLUMNS : CLICK_COLUMNS));
+    }
+
+    let rows = 0;
+    for (const item of items) {
+      // Stop early when the client went away
+      if (res.destroyed) break;
+
+      // Links deleted since the listing was taken are skipped
+      const analytics = UrlModel.getAnalytics(item.id);
+      if (!analytics) continue;
+
+      const records = data === 'links'
+        ? [linkRecord(analytics, UrlHelpers.generateShortUrl(req, item.shortcode, item.domain))]
+        : clickRecords(analytics);
+      const toValues = data === 'links' ? linkCsvValues : clickCsvValues;
+
+      const chunk = records
+        .map(record => (format === 'csv' ? toCsvRow(toValues(record)) : `${JSON.stringify(record)}\n`))
+        .join('');
+
+      rows += records.length;
+      if (chunk) await writeChunk(res, chunk);
+    }
+
+    res.end();
+
+    logger.info('Short URLs exported', { format, data, links: items.length, rows, owner: req.owner });
+    Log("backend", "info", "handler", `Exported ${rows} ${data} rows as ${format}`);
+
   } catch (error) {
-    logger.error('Error creating short URL', { 
-      error: error.message, 
-      stack: error.stack,
-      requestBody: req.body 
+    logger.error('Error exporting short URLs', {
+      error: error.message,
+      stack: error.stack
     });
-    Log("backend", "error", "handler", `Error creating short URL: ${error.message}`);
-    
+    Log("backend", "error", "handler", `Error exporting short URLs: ${error.message}`);
+
+    // Once streaming has started the only way to signal failure is to abort
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
     res.status(500).json(
       UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred'])
     );
@@ -117,7 +923,7 @@ router.get('/shorturls/:shortcode', async (req, res) => {
 
     logger.info('Get URL statistics request', { 
       shortcode,
-      ip: UrlHelpers.getClientIP(req)
+      ip: anonymizeIP(UrlHelpers.getClientIP(req))
     });
 
     if (!UrlHelpers.isValidShortcode(shortcode)) {
@@ -128,7 +934,10 @@ router.get('/shorturls/:shortcode', async (req, res) => {
       );
     }
 
-    const analytics = UrlModel.getAnalytics(shortcode);
+    const id = resolveLinkId(req, res, shortcode);
+    if (!id || !ensureOwnership(req, res, id)) return;
+
+    const analytics = UrlModel.getAnalytics(id);
 
     if (!analytics) {
       logger.warn('Shortcode not found for statistics', { shortcode });
@@ -147,11 +956,33 @@ router.get('/shorturls/:shortcode', async (req, res) => {
 
     res.status(200).json({
       shortcode: analytics.shortcode,
+      domain: analytics.domain,
       originalUrl: analytics.originalUrl,
+      owner: analytics.owner,
       createdAt: analytics.createdAt,
+      activeFrom: analytics.activeFrom,
       expiryDate: analytics.expiryDate,
+      ...(analytics.updatedAt && { updatedAt: analytics.updatedAt }),
       isActive: analytics.isActive,
       totalClicks: analytics.totalClicks,
+      humanClicks: analytics.humanClicks,
+      botClicks: analytics.botClicks,
+      uniqueVisitors: analytics.uniqueVisitors,
+      passwordProtected: analytics.passwordProtected,
+      failedPasswordAttempts: analytics.failedPasswordAttempts,
+      maxClicks: analytics.maxClicks,
+      remainingClicks: analytics.remainingClicks,
+      rules: analytics.rules,
+      variants: analytics.variants,
+      stickyVariants: analytics.stickyVariants,
+      utm: analytics.utm,
+      forwardQuery: analytics.forwardQuery,
+      redirectStatus: analytics.redirectStatus,
+      title: analytics.title,
+      description: analytics.description,
+      tags: analytics.tags,
+      collection: analytics.collection,
+      state: analytics.state,
       clickDetails: analytics.clicks.map(click => ({
         timestamp: click.timestamp,
         referrer: click.referrer,
@@ -160,7 +991,11 @@ router.get('/shorturls/:shortcode', async (req, res) => {
           region: click.location.region,
           city: click.location.city
         },
-        userAgent: click.userAgent
+        userAgent: click.userAgent,
+        rule: click.rule || 'default',
+        ...(click.variant && { variant: click.variant }),
+        isBot: Boolean(click.isBot),
+        ...(click.botName && { botName: click.botName })
       }))
     });
 
@@ -178,4 +1013,461 @@ router.get('/shorturls/:shortcode', async (req, res) => {
   }
 });
 
+// GET /shorturls/:shortcode/analytics - Aggregated click analytics
+// Query: from, to (ISO dates), interval (hour|day), top, page, limit
+router.get('/shorturls/:shortcode/analytics', async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+
+    logger.info('Get URL analytics request', {
+      shortcode,
+      query: req.query,
+      ip: anonymizeIP(UrlHelpers.getClientIP(req))
+    });
+
+    if (!UrlHelpers.isValidShortcode(shortcode)) {
+      logger.warn('Invalid shortcode format in analytics request', { shortcode });
+      Log("backend", "warn", "handler", `Invalid shortcode format for analytics: ${shortcode}`);
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'Invalid shortcode format', ['Shortcode must be 3-20 alphanumeric characters'])
+      );
+    }
+
+    const id = resolveLinkId(req, res, shortcode);
+    if (!id || !ensureOwnership(req, res, id)) return;
+
+    const urlData = UrlModel.lookup(id).urlData;
+    const { from, to, interval, top, errors } = parseAnalyticsQuery(req.query, urlData.createdAt);
+    const page = req.query.page ? Number(req.query.page) : 1;
+    const limit = req.query.limit ? Number(req.query.limit) : 50;
+
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push('page must be a positive integer');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      errors.push('limit must be an integer between 1 and 500');
+    }
+
+    if (errors.length > 0) {
+      logger.warn('Invalid analytics query', { shortcode, errors });
+      Log("backend", "warn", "handler", `Invalid analytics query for: ${shortcode}`);
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'Invalid analytics query', errors)
+      );
+    }
+
+    const analytics = UrlModel.queryAnalytics(id, { from, to, interval, top, page, limit });
+
+    logger.info('URL analytics retrieved', {
+      shortcode,
+      clicksInRange: analytics.clicksInRange,
+      interval
+    });
+    Log("backend", "info", "handler", `Analytics retrieved for shortcode: ${shortcode}`);
+
+    res.status(200).json({
+      ...analytics,
+      clicks: {
+        ...analytics.clicks,
+        items: analytics.clicks.items.map(click => ({
+          timestamp: click.timestamp,
+          referrer: click.referrer,
+          location: {
+            country: click.location.country,
+            region: click.location.region,
+            city: click.location.city
+          },
+          browser: click.browser,
+          os: click.os,
+          device: click.device,
+          rule: click.rule || 'default',
+          ...(click.variant && { variant: click.variant }),
+          isBot: Boolean(click.isBot),
+          ...(click.botName && { botName: click.botName })
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving URL analytics', {
+      error: error.message,
+      stack: error.stack,
+      shortcode: req.params.shortcode
+    });
+    Log("backend", "error", "handler", `Error retrieving analytics: ${error.message}`);
+
+    res.status(500).json(
+      UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred'])
+    );
+  }
+});
+
+// GET /shorturls/:shortcode/qr - QR code for the short link
+// Query: format (png|svg, otherwise negotiated from Accept), size, margin, level (L|M|Q|H)
+router.get('/shorturls/:shortcode/qr', async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+
+    logger.info('Get QR code request', {
+      shortcode,
+      query: req.query,
+      ip: anonymizeIP(UrlHelpers.getClientIP(req))
+    });
+
+    if (!UrlHelpers.isValidShortcode(shortcode)) {
+      logger.warn('Invalid shortcode format in QR request', { shortcode });
+      Log("backend", "warn", "handler", `Invalid shortcode format for QR: ${shortcode}`);
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'Invalid shortcode format', ['Shortcode must be 3-20 alphanumeric characters'])
+      );
+    }
+
+    const id = resolveLinkId(req, res, shortcode);
+    if (!id || !ensureOwnership(req, res, id)) return;
+
+    const format = req.query.format || req.accepts(['png', 'svg']) || 'png';
+    const size = req.query.size ? Number(req.query.size) : 256;
+    const margin = req.query.margin ? Number(req.query.margin) : 4;
+    const level = (req.query.level || 'M').toUpperCase();
+    const errors = [];
+
+    if (!['png', 'svg'].includes(format)) {
+      errors.push('format must be png or svg');
+    }
+    if (!Number.isInteger(size) || size < 64 || size > 2048) {
+      errors.push('size must be an integer between 64 and 2048');
+    }
+    if (!Number.isInteger(margin) || margin < 0 || margin > 20) {
+      errors.push('margin must be an integer between 0 and 20');
+    }
+    if (!['L', 'M', 'Q', 'H'].includes(level)) {
+      errors.push('level must be one of L, M, Q, H');
+    }
+
+    if (errors.length > 0) {
+      logger.warn('Invalid QR code options', { shortcode, errors });
+      Log("backend", "warn", "handler", `Invalid QR code options for: ${shortcode}`);
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'Invalid QR code options', errors)
+      );
+    }
+
+    const shortLink = UrlHelpers.generateShortUrl(req, shortcode, UrlModel.lookup(id).urlData.domain);
+    const options = { width: size, margin, errorCorrectionLevel: level };
+
+    logger.info('QR code generated', { shortcode, format, size, level });
+    Log("backend", "info", "handler", `QR code generated for shortcode: ${shortcode}`);
+
+    if (format === 'svg') {
+      const svg = await QRCode.toString(shortLink, { ...options, type: 'svg' });
+      return res.status(200).type('image/svg+xml').send(svg);
+    }
+
+    const png = await QRCode.toBuffer(shortLink, { ...options, type: 'png' });
+    res.status(200).type('image/png').send(png);
+
+  } catch (error) {
+    logger.error('Error generating QR code', {
+      error: error.message,
+      stack: error.stack,
+      shortcode: req.params.shortcode
+    });
+    Log("backend", "error", "handler", `Error generating QR code: ${error.message}`);
+
+    res.status(500).json(
+      UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred'])
+    );
+  }
+});
+
+// PATCH /shorturls/:shortcode - Change destination, validity, active state or metadata
+router.patch('/shorturls/:shortcode', async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+    const {
+      url,
+      validity,
+      isActive,
+      password,
+      maxClicks,
+      activeFrom,
+      rules,
+      variants,
+      stickyVariants,
+      utm,
+      forwardQuery,
+      redirectStatus,
+      title,
+      description,
+      tags,
+      collection
+    } = req.body;
+
+    logger.info('Update short URL request', {
+      shortcode,
+      url,
+      validity,
+      isActive,
+      passwordChanged: password !== undefined,
+      maxClicks,
+      activeFrom,
+      rules: Array.isArray(rules) ? rules.length : rules,
+      variants: Array.isArray(variants) ? variants.length : variants,
+      stickyVariants,
+      utm,
+      forwardQuery,
+      redirectStatus,
+      tags,
+      collection,
+      ip: anonymizeIP(UrlHelpers.getClientIP(req))
+    });
+
+    if (!UrlHelpers.isValidShortcode(shortcode)) {
+      logger.warn('Invalid shortcode format in update request', { shortcode });
+      Log("backend", "warn", "handler", `Invalid shortcode format for update: ${shortcode}`);
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'Invalid shortcode format', ['Shortcode must be 3-20 alphanumeric characters'])
+      );
+    }
+
+    const id = resolveLinkId(req, res, shortcode);
+    if (!id || !ensureOwnership(req, res, id)) return;
+
+    const changes = {};
+    const errors = [];
+
+    if (url !== undefined) {
+      if (!url || !UrlHelpers.isValidUrl(url)) {
+        errors.push('Please provide a valid HTTP/HTTPS URL');
+      } else {
+        changes.originalUrl = url;
+      }
+    }
+
+    // null clears the schedule so the link works immediately
+    if (activeFrom !== undefined) {
+      const activeFromDate = UrlHelpers.parseActiveFrom(activeFrom);
+      if (activeFromDate === false) {
+        errors.push('activeFrom must be an ISO 8601 date no more than 1 year ahead, or null');
+      } else {
+        changes.activeFrom = activeFromDate;
+      }
+    }
+
+    // Validity is re-applied from now (or a future activation time),
+    // so it can both extend and shorten expiry
+    if (validity !== undefined) {
+      if (typeof validity !== 'number' || validity < 1 || validity > 525600) {
+        errors.push('Validity must be between 1 and 525600 minutes (1 year)');
+      } else {
+        const scheduledStart = changes.activeFrom !== undefined
+          ? changes.activeFrom
+          : UrlModel.lookup(id).urlData.activeFrom;
+        const start = scheduledStart && scheduledStart > new Date() ? scheduledStart : new Date();
+        changes.expiryDate = UrlHelpers.calculateExpiryDate(validity, start);
+      }
+    }
+
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        errors.push('isActive must be a boolean');
+      } else {
+        changes.isActive = isActive;
+      }
+    }
+
+    // A new password replaces the old one; null removes protection
+    if (password !== undefined) {
+      if (password === null) {
+        changes.passwordHash = null;
+      } else if (!UrlHelpers.isValidPassword(password)) {
+        errors.push('Password must be a string of 4-128 characters or null');
+      } else {
+        changes.passwordHash = await UrlHelpers.hashPassword(password);
+      }
+    }
+
+    if (stickyVariants !== undefined) {
+      if (typeof stickyVariants !== 'boolean') {
+        errors.push('stickyVariants must be a boolean');
+      } else {
+        changes.stickyVariants = stickyVariants;
+      }
+    }
+
+    // UTM defaults are replaced as a whole; null removes them
+    if (utm !== undefined) {
+      const utmErrors = utm === null ? [] : validateUtm(utm);
+      if (utmErrors.length > 0) {
+        errors.push(...utmErrors);
+      } else {
+        changes.utm = utm && normalizeUtm(utm);
+      }
+    }
+
+    if (forwardQuery !== undefined) {
+      if (typeof forwardQuery !== 'boolean') {
+        errors.push('forwardQuery must be a boolean');
+      } else {
+        changes.forwardQuery = forwardQuery;
+      }
+    }
+
+    // Metadata fields are replaced as given; null clears them
+    const metadataErrors = validateMetadata({ title, description, tags, collection });
+    if (metadataErrors.length > 0) {
+      errors.push(...metadataErrors);
+    } else {
+      Object.assign(changes, normalizeMetadata({ title, description, tags, collection }));
+    }
+
+    if (redirectStatus !== undefined) {
+      if (!UrlHelpers.isValidRedirectStatus(redirectStatus)) {
+        errors.push('redirectStatus must be one of 301, 302, 307 or 308');
+      } else {
+        changes.redirectStatus = redirectStatus;
+      }
+    }
+
+    // The limit applies to all clicks so far, bots included; null removes it
+    if (maxClicks !== undefined) {
+      if (maxClicks !== null && !isValidMaxClicks(maxClicks)) {
+        errors.push('maxClicks must be an integer between 1 and 1000000 or null');
+      } else {
+        changes.maxClicks = maxClicks;
+      }
+    }
+
+    if (errors.length > 0) {
+      logger.warn('Invalid update request', { shortcode, errors });
+      Log("backend", "warn", "handler", `Invalid update request for: ${shortcode}`);
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'Invalid update request', errors)
+      );
+    }
+
+    // Rules and variants are validated separately below
+    if (Object.keys(changes).length === 0 && rules === undefined && variants === undefined) {
+      logger.warn('Update request without changes', { shortcode });
+      Log("backend", "warn", "handler", `Update request without changes: ${shortcode}`);
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'No changes provided', ['Provide at least one of url, validity, activeFrom, isActive, password, maxClicks, rules, variants, stickyVariants, utm, forwardQuery, redirectStatus, title, description, tags or collection'])
+      );
+    }
+
+    if (changes.originalUrl) {
+      const policyFailure = await checkDestinationPolicy(req, changes.originalUrl);
+      if (policyFailure) {
+        const { status, message, errors: policyErrors, data } = policyFailure.error;
+        return res.status(status).json(
+          UrlHelpers.formatResponse(false, data, message, policyErrors)
+        );
+      }
+    }
+
+    // Rules are replaced as a whole; null removes them
+    if (rules !== undefined) {
+      const preparedRules = rules === null ? { rules: null } : await prepareRules(req, rules);
+      if (preparedRules.error) {
+        const { status, message, errors: ruleErrors, data } = preparedRules.error;
+        return res.status(status).json(
+          UrlHelpers.formatResponse(false, data, message, ruleErrors)
+        );
+      }
+      changes.rules = preparedRules.rules;
+    }
+
+    // Variants are replaced as a whole; null turns the split off
+    if (variants !== undefined) {
+      const preparedVariants = variants === null ? { variants: null } : await prepareVariants(req, variants);
+      if (preparedVariants.error) {
+        const { status, message, errors: variantErrors, data } = preparedVariants.error;
+        return res.status(status).json(
+          UrlHelpers.formatResponse(false, data, message, variantErrors)
+        );
+      }
+      changes.variants = preparedVariants.variants;
+    }
+
+    const updated = UrlModel.update(id, changes);
+
+    res.status(200).json(
+      UrlHelpers.formatResponse(true, {
+        shortcode,
+        domain: updated.domain || null,
+        shortLink: UrlHelpers.generateShortUrl(req, shortcode, updated.domain),
+        originalUrl: updated.originalUrl,
+        expiry: updated.expiryDate.toISOString(),
+        isActive: updated.isActive,
+        passwordProtected: Boolean(updated.passwordHash),
+        maxClicks: updated.maxClicks || null,
+        activeFrom: updated.activeFrom ? updated.activeFrom.toISOString() : null,
+        rules: updated.rules || [],
+        variants: updated.variants || [],
+        stickyVariants: Boolean(updated.stickyVariants),
+        utm: updated.utm || null,
+        forwardQuery: Boolean(updated.forwardQuery),
+        redirectStatus: updated.redirectStatus || 302,
+        title: updated.title || null,
+        description: updated.description || null,
+        tags: updated.tags || [],
+        collection: updated.collection || null
+      }, 'Short URL updated')
+    );
+
+  } catch (error) {
+    logger.error('Error updating short URL', {
+      error: error.message,
+      stack: error.stack,
+      shortcode: req.params.shortcode
+    });
+    Log("backend", "error", "handler", `Error updating short URL: ${error.message}`);
+
+    res.status(500).json(
+      UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred'])
+    );
+  }
+});
+
+// DELETE /shorturls/:shortcode - Permanently remove a short URL and its analytics
+router.delete('/shorturls/:shortcode', async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+
+    logger.info('Delete short URL request', {
+      shortcode,
+      ip: anonymizeIP(UrlHelpers.getClientIP(req))
+    });
+
+    if (!UrlHelpers.isValidShortcode(shortcode)) {
+      logger.warn('Invalid shortcode format in delete request', { shortcode });
+      Log("backend", "warn", "handler", `Invalid shortcode format for delete: ${shortcode}`);
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'Invalid shortcode format', ['Shortcode must be 3-20 alphanumeric characters'])
+      );
+    }
+
+    const id = resolveLinkId(req, res, shortcode);
+    if (!id || !ensureOwnership(req, res, id)) return;
+
+    UrlModel.delete(id);
+
+    res.status(200).json(
+      UrlHelpers.formatResponse(true, { shortcode }, 'Short URL deleted')
+    );
+
+  } catch (error) {
+    logger.error('Error deleting short URL', {
+      error: error.message,
+      stack: error.stack,
+      shortcode: req.params.shortcode
+    });
+    Log("backend", "error", "handler", `Error deleting short URL: ${error.message}`);
+
+    res.status(500).json(
+      UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred'])
+    );
+  }
+});
+
 module.exports = router;
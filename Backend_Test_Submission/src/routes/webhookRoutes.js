@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const WebhookModel = require('../models/WebhookModel');
+const UrlHelpers = require('../utils/helpers');
+const { logger } = require('../middleware/logger');
+const { Log } = require('../Logging-Middleware/logger'); // ✅ Remote logger
+const { createLimiter } = require('../middleware/rateLimiter');
+const { validateWebhook, retryDeadLetter } = require('../utils/webhooks');
+
+// Maximum number of subscriptions per owner
+const MAX_WEBHOOKS_PER_OWNER = parseInt(process.env.MAX_WEBHOOKS_PER_OWNER, 10) || 20;
+
+// Subscription as returned by the API; the secret is only shown on creation
+const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+const sendError = (req, res, message, error) => {
+  logger.error(message, {
+    error: error.message,
+    stack: error.stack,
+    owner: req.owner
+  });
+  Log("backend", "error", "handler", `${message}: ${error.message}`);
+
+  res.status(500).json(
+    UrlHelpers.formatResponse(false, null, 'Internal server error', ['An unexpected error occurred'])
+  );
+};
+
+// POST /webhooks - Subscribe a URL to link events
+router.post('/webhooks', createLimiter, async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    logger.info('Create webhook request', { url, events, owner: req.owner });
+
+    const errors = await validateWebhook({ url, events, description });
+    if (errors.length > 0) {
+      logger.warn('Invalid webhook subscription', { errors });
+      Log("backend", "warn", "handler", `Invalid webhook subscription: ${errors.length} errors`);
+      return res.status(400).json(
+        UrlHelpers.formatResponse(false, null, 'Invalid webhook subscription', errors)
+      );
+    }
+
+    if (WebhookModel.listByOwner(req.owner).length >= MAX_WEBHOOKS_PER_OWNER) {
+      return res.status(409).json(
+        UrlHelpers.formatResponse(false, null, 'Too many webhooks', [`At most ${MAX_WEBHOOKS_PER_OWNER} webhook subscriptions are allowed`])
+      );
+    }
+
+    const webhook = WebhookModel.create(req.owner, {
+      url,
+      events: events ? Array.from(new Set(events)) : ['*'],
+      description: description || null
+    });
+
+    // The secret is needed to verify signatures and is not returned again
+    res.status(201).json(
+      UrlHelpers.formatResponse(true, webhook, 'Webhook subscription created')
+    );
+
+  } catch (error) {
+    sendError(req, res, 'Error creating webhook subscription', error);
+  }
+});
+
+// GET /webhooks - List the caller's subscriptions
+router.get('/webhooks', (req, res) => {
+  try {
+    const webhooks = WebhookModel.listByOwner(req.owner).map(publicWebhook);
+
+    res.status(200).json(
+      UrlHelpers.formatResponse(true, { webhooks }, 'Webhook subscriptions')
+    );
+
+  } catch (error) {
+    sendError(req, res, 'Error listing webhook subscriptions', error);
+  }
+});
+
+// GET /webhooks/dead-letters - Deliveries that failed after all retries
+router.get('/webhooks/dead-letters', (req, res) => {
+  try {
+    const deadLetters = WebhookModel.listDeadLetters(req.owner);
+
+    res.status(200).json(
+      UrlHelpers.formatResponse(true, { deadLetters }, 'Failed webhook deliveries')
+    );
+
+  } catch (error) {
+    sendError(req, res, 'Error listing webhook dead letters', error);
+  }
+});
+
+// POST /webhooks/dead-letters/:deliveryId/retry - Queue a failed delivery again
+router.post('/webhooks/dead-letters/:deliveryId/retry', (req, res) => {
+  try {
+    const deadLetter = WebhookModel.takeDeadLetter(req.params.deliveryId, req.owner);
+
+    if (!deadLetter) {
+      return res.status(404).json(
+        UrlHelpers.formatResponse(false, null, 'Dead letter not found', ['The requested delivery is not in the dead-letter list'])
+      );
+    }
+
+    if (!WebhookModel.findById(deadLetter.webhookId)) {
+      return res.status(410).json(
+        UrlHelpers.formatResponse(false, null, 'Webhook subscription was deleted', ['The delivery cannot be retried'])
+      );
+    }
+
+    retryDeadLetter(deadLetter);
+
+    logger.info('Webhook dead letter requeued', { deliveryId: deadLetter.deliveryId, owner: req.owner });
+    Log("backend", "info", "handler", `Webhook dead letter requeued: ${deadLetter.deliveryId}`);
+
+    res.status(202).json(
+      UrlHelpers.formatResponse(true, { deliveryId: deadLetter.deliveryId }, 'Delivery queued for retry')
+    );
+
+  } catch (error) {
+    sendError(req, res, 'Error retrying webhook delivery', error);
+  }
+});
+
+// GET /webhooks/:id - Get one subscription
+router.get('/webhooks/:id', (req, res) => {
+  try {
+    const webhook = WebhookModel.findById(req.params.id);
+
+    if (!webhook || webhook.owner !== req.owner) {
+      return res.status(404).json(
+        UrlHelpers.formatResponse(false, null, 'Webhook not found', ['The requested webhook subscription does not exist'])
+      );
+    }
+
+    res.status(200).json(
+      UrlHelpers.formatResponse(true, publicWebhook(webhook), 'Webhook subscription')
+    );
+
+  } catch (error) {
+    sendError(req, res, 'Error retrieving webhook subscription', error);
+  }
+});
+
+// DELETE /webhooks/:id - Remove a subscription
+router.delete('/webhooks/:id', (req, res) => {
+  try {
+    const webhook = WebhookModel.findById(req.params.id);
+
+    if (!webhook || webhook.owner !== req.owner) {
+      return res.status(404).json(
+        UrlHelpers.formatResponse(false, null, 'Webhook not found', ['The requested webhook subscription does not exist'])
+      );
+    }
+
+    WebhookModel.delete(webhook.id);
+
+    res.status(200).json(
+      UrlHelpers.formatResponse(true, { id: webhook.id }, 'Webhook subscription deleted')
+    );
+
+  } catch (error) {
+    sendError(req, res, 'Error deleting webhook subscription', error);
+  }
+});
+
+module.exports = router;
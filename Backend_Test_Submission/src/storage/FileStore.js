@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./MemoryStore');
+const { logger } = require('../middleware/logger');
+const { Log } = require('../Logging-Middleware/logger');
+
+// Fields of a URL entry that are Date objects in memory
+const DATE_FIELDS = ['createdAt', 'expiryDate', 'updatedAt', 'activeFrom'];
+
+const reviveUrl = (data) => {
+  const urlData = { ...data };
+  DATE_FIELDS.forEach(field => {
+    if (urlData[field]) urlData[field] = new Date(urlData[field]);
+  });
+  return urlData;
+};
+
+// Durable storage backend backed by an append-only JSON log.
+// Every mutation is appended as one JSON line and replayed on startup;
+// the working set is served from memory.
+class FileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.name = 'file';
+    this.filePath = filePath;
+    this.ensureDir();
+    this.load();
+  }
+
+  ensureDir() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  // Replay the log into memory
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    let applied = 0;
+    let skipped = 0;
+
+    lines.forEach(line => {
+      if (!line.trim()) return;
+      try {
+        this.apply(JSON.parse(line));
+        applied++;
+      } catch (error) {
+        skipped++;
+      }
+    });
+
+    if (skipped > 0) {
+      logger.warn('Skipped unreadable storage log entries', { file: this.filePath, skipped });
+      Log("backend", "warn", "db", `Skipped ${skipped} unreadable storage log entries`);
+    }
+
+    logger.info('Storage log loaded', { file: this.filePath, entries: applied, urls: this.urls.size });
+    Log("backend", "info", "db", `Storage log loaded with ${this.urls.size} URLs`);
+  }
+
+  apply(entry) {
+    switch (entry.op) {
+      case 'put':
+        super.saveUrl(reviveUrl(entry.data));
+        break;
+      case 'delete':
+        super.deleteUrl(entry.shortcode);
+        break;
+      case 'click':
+        super.addClick(entry.shortcode, entry.click);
+        break;
+      case 'analytics':
+        super.saveAnalytics(entry.shortcode, entry.analytics);
+        break;
+      case 'increment':
+        super.incrementCounter(entry.shortcode, entry.counter);
+        break;
+      case 'webhook':
+        super.saveWebhook(entry.data);
+        break;
+      case 'webhook-delete':
+        super.deleteWebhook(entry.id);
+        break;
+      default:
+        throw new Error(`Unknown storage log operation: ${entry.op}`);
+    }
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+  }
+
+  saveUrl(urlData) {
+    this.append({ op: 'put', data: urlData });
+    return super.saveUrl(urlData);
+  }
+
+  // Log entries carry the link id in their "shortcode" field, which keeps
+  // logs written before branded domains readable
+  deleteUrl(id) {
+    this.append({ op: 'delete', shortcode: id });
+    return super.deleteUrl(id);
+  }
+
+  saveAnalytics(id, analytics) {
+    this.append({ op: 'analytics', shortcode: id, analytics });
+    return super.saveAnalytics(id, analytics);
+  }
+
+  addClick(id, click) {
+    if (!this.analytics.has(id)) return null;
+    this.append({ op: 'click', shortcode: id, click });
+    return super.addClick(id, click);
+  }
+
+  incrementCounter(id, counter) {
+    if (!this.analytics.has(id)) return null;
+    this.append({ op: 'increment', shortcode: id, counter });
+    return super.incrementCounter(id, counter);
+  }
+
+  saveWebhook(webhook) {
+    this.append({ op: 'webhook', data: webhook });
+    return super.saveWebhook(webhook);
+  }
+
+  deleteWebhook(id) {
+    this.append({ op: 'webhook-delete', id });
+    return super.deleteWebhook(id);
+  }
+
+  // The log (or its directory, before the first write) must stay writable
+  check() {
+    const target = fs.existsSync(this.filePath) ? this.filePath : path.dirname(this.filePath);
+    fs.accessSync(target, fs.constants.W_OK);
+    return { ...super.check(), file: this.filePath };
+  }
+
+  // Rewrite the log with one snapshot per live entry, dropping history
+  compact() {
+    const tmpFile = `${this.filePath}.tmp`;
+    const lines = [];
+
+    for (const [id, urlData] of this.urls) {
+      lines.push(JSON.stringify({ op: 'put', data: urlData }));
+      const analytics = this.analytics.get(id);
+      if (analytics) {
+        lines.push(JSON.stringify({ op: 'analytics', shortcode: id, analytics }));
+      }
+    }
+
+    for (const webhook of this.webhooks.values()) {
+      lines.push(JSON.stringify({ op: 'webhook', data: webhook }));
+    }
+
+    fs.writeFileSync(tmpFile, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmpFile, this.filePath);
+
+    logger.info('Storage log compacted', { file: this.filePath, urls: this.urls.size });
+    Log("backend", "info", "db", `Storage log compacted to ${this.urls.size} URLs`);
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,117 @@
+// In-process storage backend. Data is lost when the process exits.
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    // URL entries keyed by link id (see linkIdOf)
+    this.urls = new Map();
+    // Click analytics keyed by link id
+    this.analytics = new Map();
+    // Webhook subscriptions keyed by subscription id
+    this.webhooks = new Map();
+  }
+
+  // Links are stored under their id: the shortcode, or "domain/shortcode" for
+  // links on a branded domain. Entries saved before domains existed have no id.
+  static linkIdOf(urlData) {
+    return urlData.id || urlData.shortcode;
+  }
+
+  getUrl(id) {
+    return this.urls.get(id) || null;
+  }
+
+  hasUrl(id) {
+    return this.urls.has(id);
+  }
+
+  // Insert or replace a URL entry, initializing analytics on first save
+  saveUrl(urlData) {
+    const id = MemoryStore.linkIdOf(urlData);
+    this.urls.set(id, urlData);
+    if (!this.analytics.has(id)) {
+      this.analytics.set(id, {
+        totalClicks: 0,
+        botClicks: 0,
+        uniqueVisitors: 0,
+        clicks: []
+      });
+    }
+    return urlData;
+  }
+
+  // Remove a URL entry together with its analytics
+  deleteUrl(id) {
+    this.analytics.delete(id);
+    return this.urls.delete(id);
+  }
+
+  getAnalytics(id) {
+    return this.analytics.get(id) || null;
+  }
+
+  // Replace the analytics record for a link
+  saveAnalytics(id, analytics) {
+    this.analytics.set(id, analytics);
+    return analytics;
+  }
+
+  // Append a click and bump the counters; returns null for unknown shortcodes
+  addClick(id, click) {
+    const analytics = this.analytics.get(id);
+    if (!analytics) return null;
+
+    analytics.clicks.push(click);
+    analytics.totalClicks++;
+    if (click.isBot) {
+      analytics.botClicks = (analytics.botClicks || 0) + 1;
+    }
+    if (click.isUnique) {
+      analytics.uniqueVisitors = (analytics.uniqueVisitors || 0) + 1;
+    }
+    if (click.variant) {
+      analytics.variantClicks = analytics.variantClicks || {};
+      analytics.variantClicks[click.variant] = (analytics.variantClicks[click.variant] || 0) + 1;
+    }
+    return analytics;
+  }
+
+  // Increase a numeric analytics counter (e.g. failed password attempts)
+  incrementCounter(id, counter) {
+    const analytics = this.analytics.get(id);
+    if (!analytics) return null;
+
+    analytics[counter] = (analytics[counter] || 0) + 1;
+    return analytics;
+  }
+
+  listUrls() {
+    return Array.from(this.urls.values());
+  }
+
+  getWebhook(id) {
+    return this.webhooks.get(id) || null;
+  }
+
+  saveWebhook(webhook) {
+    this.webhooks.set(webhook.id, webhook);
+    return webhook;
+  }
+
+  deleteWebhook(id) {
+    return this.webhooks.delete(id);
+  }
+
+  listWebhooks() {
+    return Array.from(this.webhooks.values());
+  }
+
+  // Nothing to reclaim for in-memory data
+  compact() {}
+
+  // Health details for readiness checks; throws when the backend is unusable
+  check() {
+    return { driver: this.name, urls: this.urls.size };
+  }
+}
+
+module.exports = MemoryStore;
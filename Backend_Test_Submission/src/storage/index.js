@@ -0,0 +1,24 @@
+const path = require('path');
+const MemoryStore = require('./MemoryStore');
+const FileStore = require('./FileStore');
+
+const DEFAULT_FILE = path.join(__dirname, '../../data/urls.jsonl');
+
+// Build a storage backend from config.
+// Drivers: 'memory' (default, non-durable) and 'file' (append-only JSON log).
+const createStore = ({ driver = 'memory', filePath } = {}) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore(filePath || DEFAULT_FILE);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+module.exports = {
+  createStore,
+  MemoryStore,
+  FileStore
+};
@@ -0,0 +1,129 @@
+const { parseUserAgent } = require('./userAgent');
+
+const INTERVAL_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Upper bound on time-series length for a single query
+const MAX_BUCKETS = 2000;
+
+// Start of the UTC hour/day containing the given time
+const bucketStart = (time, interval) => {
+  const date = new Date(time);
+  date.setUTCMinutes(0, 0, 0);
+  if (interval === 'day') {
+    date.setUTCHours(0);
+  }
+  return date.getTime();
+};
+
+const countBuckets = (from, to, interval) =>
+  Math.floor((bucketStart(to, interval) - bucketStart(from, interval)) / INTERVAL_MS[interval]) + 1;
+
+// Count clicks per value and return the top N, most clicked first
+const topValues = (clicks, getValue, top) => {
+  const counts = new Map();
+  clicks.forEach(click => {
+    const value = getValue(click) || 'Unknown';
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  return Array.from(counts, ([value, count]) => ({ value, clicks: count }))
+    .sort((a, b) => b.clicks - a.clicks || String(a.value).localeCompare(String(b.value)))
+    .slice(0, top);
+};
+
+// Distinct visitors among human clicks
+const countVisitors = (clicks) =>
+  new Set(clicks.filter(click => !click.isBot && click.visitorId).map(click => click.visitorId)).size;
+
+// Aggregate raw clicks within [from, to] into a zero-filled time series
+// and top-N breakdowns. Clicks are returned newest first for pagination.
+const aggregateClicks = (clicks, { from, to, interval, top }) => {
+  const fromTime = from.getTime();
+  const toTime = to.getTime();
+
+  const inRange = clicks
+    .filter(click => {
+      const time = new Date(click.timestamp).getTime();
+      return time >= fromTime && time <= toTime;
+    })
+    // Clicks recorded before user-agent parsing existed are classified on the fly
+    .map(click => (click.browser ? click : { ...click, ...parseUserAgent(click.userAgent) }))
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  const series = new Map();
+  for (let time = bucketStart(fromTime, interval); time <= toTime; time += INTERVAL_MS[interval]) {
+    series.set(time, { clicks: 0, humanClicks: 0, botClicks: 0, visitors: new Set() });
+  }
+  inRange.forEach(click => {
+    const key = bucketStart(click.timestamp, interval);
+    const bucket = series.get(key);
+    bucket.clicks++;
+    bucket[click.isBot ? 'botClicks' : 'humanClicks']++;
+    if (!click.isBot && click.visitorId) {
+      bucket.visitors.add(click.visitorId);
+    }
+  });
+
+  const botClicks = inRange.filter(click => click.isBot).length;
+  const humans = inRange.filter(click => !click.isBot);
+
+  return {
+    clicks: inRange,
+    humanClicks: inRange.length - botClicks,
+    botClicks,
+    uniqueVisitors: countVisitors(humans),
+    timeSeries: Array.from(series, ([time, { visitors, ...counts }]) => ({
+      bucket: new Date(time).toISOString(),
+      ...counts,
+      uniqueVisitors: visitors.size
+    })),
+    // Visitor breakdowns cover human clicks only; bots are broken down separately
+    breakdowns: {
+      countries: topValues(humans, click => click.location && click.location.country, top),
+      referrers: topValues(humans, click => click.referrer, top),
+      browsers: topValues(humans, click => click.browser, top),
+      operatingSystems: topValues(humans, click => click.os, top),
+      devices: topValues(humans, click => click.device, top),
+      rules: topValues(humans, click => click.rule || 'default', top),
+      variants: topValues(humans.filter(click => click.variant), click => click.variant, top),
+      bots: topValues(inRange.filter(click => click.isBot), click => click.botName, top)
+    }
+  };
+};
+
+// Parse the from/to/interval/top query parameters shared by analytics endpoints.
+// Returns { from, to, interval, top, errors }.
+const parseAnalyticsQuery = (query, defaultFrom) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : defaultFrom;
+  const interval = query.interval || 'day';
+  const top = query.top ? Number(query.top) : 10;
+  const errors = [];
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    errors.push('from and to must be valid ISO 8601 dates');
+  } else if (from > to) {
+    errors.push('from must not be later than to');
+  }
+  if (!INTERVAL_MS[interval]) {
+    errors.push(`interval must be one of: ${Object.keys(INTERVAL_MS).join(', ')}`);
+  } else if (!errors.length && countBuckets(from, to, interval) > MAX_BUCKETS) {
+    errors.push(`Range too large for ${interval} interval (max ${MAX_BUCKETS} buckets)`);
+  }
+  if (!Number.isInteger(top) || top < 1 || top > 100) {
+    errors.push('top must be an integer between 1 and 100');
+  }
+
+  return { from, to, interval, top, errors };
+};
+
+module.exports = {
+  INTERVAL_MS,
+  MAX_BUCKETS,
+  countBuckets,
+  aggregateClicks,
+  parseAnalyticsQuery
+};
@@ -0,0 +1,75 @@
+// Minimal RFC 4180 CSV reading and writing for link import/export
+
+// Cells starting with these are treated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a cell when needed and neutralize spreadsheet formulas
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = Array.isArray(value) ? value.join('|') : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(escapeCell).join(',')}\r\n`;
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted
+// cells with commas, escaped quotes and line breaks, CRLF/LF line endings and
+// a leading byte order mark. Blank lines are skipped.
+// Returns { rows, error } where error is set for an unterminated quote.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    return { rows, error: 'Unterminated quoted field' };
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return { rows, error: null };
+};
+
+module.exports = {
+  escapeCell,
+  toCsvRow,
+  parseCsv
+};
@@ -0,0 +1,177 @@
+const dns = require('dns').promises;
+const net = require('net');
+const { logger } = require('../middleware/logger');
+const { Log } = require('../Logging-Middleware/logger');
+const { listDomains } = require('./domains');
+
+const parseList = (value) =>
+  (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+
+// Domain lists match the domain itself and any subdomain
+const ALLOW_DOMAINS = parseList(process.env.DESTINATION_ALLOW_DOMAINS);
+const DENY_DOMAINS = parseList(process.env.DESTINATION_DENY_DOMAINS);
+// Extra hostnames this shortener is served from (the request Host is always included)
+const SHORTENER_HOSTS = parseList(process.env.SHORTENER_HOSTS);
+const RESOLVE_DNS = process.env.DESTINATION_RESOLVE_DNS !== 'false';
+const DNS_TIMEOUT_MS = parseInt(process.env.DESTINATION_DNS_TIMEOUT_MS, 10) || 2000;
+
+// Private, loopback, link-local and otherwise reserved address ranges
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv6'));
+
+const matchesDomain = (hostname, domains) =>
+  domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+
+// IPv6 address -> its eight 16-bit groups
+const ipv6Groups = (address) => {
+  let text = address.split('%')[0];
+
+  // A trailing dotted quad ("::ffff:10.0.0.1") stands for the last two groups
+  const quad = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (quad) {
+    const [a, b, c, d] = quad.slice(1).map(Number);
+    text = `${text.slice(0, quad.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const parse = (part) => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const front = parse(head);
+  const back = tail === undefined ? [] : parse(tail);
+  return [...front, ...new Array(8 - front.length - back.length).fill(0), ...back];
+};
+
+// IPv4 address carried in an IPv4-mapped ("::ffff:7f00:1") or IPv4-compatible
+// ("::127.0.0.1") IPv6 address, or null for any other IPv6 address
+const embeddedIPv4 = (address) => {
+  const groups = ipv6Groups(address);
+  if (groups.slice(0, 5).some(group => group !== 0) || ![0, 0xffff].includes(groups[5])) {
+    return null;
+  }
+  return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+};
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+
+  // Addresses embedding an IPv4 address are checked as that IPv4 address
+  const ipv4 = family === 6 && embeddedIPv4(address);
+  if (ipv4) return blockedRanges.check(ipv4, 'ipv4');
+
+  if (family === 4) return blockedRanges.check(address, 'ipv4');
+  if (family === 6) return blockedRanges.check(address, 'ipv6');
+  return false;
+};
+
+const isInternalHostname = (hostname) =>
+  hostname === 'localhost' ||
+  hostname.endsWith('.localhost') ||
+  hostname.endsWith('.local') ||
+  hostname.endsWith('.internal');
+
+const resolveAddresses = async (hostname) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('DNS lookup timed out')), DNS_TIMEOUT_MS);
+  });
+
+  try {
+    const results = await Promise.race([dns.lookup(hostname, { all: true }), timeout]);
+    return results.map(result => result.address);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Pick the address to connect to for a server-side request to `hostname`,
+// throwing when the host is internal or any of its addresses is private or
+// reserved. Callers connect to the returned address rather than resolving the
+// name again, so DNS cannot change the answer between the check and the request.
+const resolvePublicAddress = async (hostname) => {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (isInternalHostname(host) || isBlockedAddress(host)) {
+    throw new Error(`Host ${host} is a private or reserved address`);
+  }
+  if (net.isIP(host)) return { address: host, family: net.isIP(host) };
+
+  const addresses = await resolveAddresses(host);
+  const blocked = addresses.filter(isBlockedAddress);
+  if (blocked.length > 0) {
+    throw new Error(`Host ${host} resolves to a private or reserved address (${blocked.join(', ')})`);
+  }
+  if (addresses.length === 0) {
+    throw new Error(`Host ${host} did not resolve`);
+  }
+
+  return { address: addresses[0], family: net.isIP(addresses[0]) };
+};
+
+// `lookup` option for http(s).request that answers every lookup with the
+// address from resolvePublicAddress
+const pinnedLookup = ({ address, family }) => (hostname, options, callback) => (options.all
+  ? callback(null, [{ address, family }])
+  : callback(null, address, family));
+
+// Check a (syntactically valid) destination URL against the destination policy.
+// `selfHosts` are hostnames of this shortener (registered short link domains are
+// always included), rejected to prevent redirect loops.
+// Resolves to a list of violations: [{ rule, message }]; empty when allowed.
+const checkDestination = async (url, { selfHosts = [] } = {}) => {
+  const violations = [];
+  const hostname = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+  if (matchesDomain(hostname, DENY_DOMAINS)) {
+    violations.push({ rule: 'deny_list', message: `Domain ${hostname} is on the deny list` });
+  }
+
+  if (ALLOW_DOMAINS.length > 0 && !matchesDomain(hostname, ALLOW_DOMAINS)) {
+    violations.push({ rule: 'allow_list', message: `Domain ${hostname} is not on the allow list` });
+  }
+
+  const ownHosts = [...selfHosts, ...SHORTENER_HOSTS, ...listDomains().map(({ domain }) => domain)]
+    .map(host => host.toLowerCase());
+  if (ownHosts.includes(hostname)) {
+    violations.push({ rule: 'redirect_loop', message: 'Destination points back at this URL shortener' });
+  }
+
+  if (isInternalHostname(hostname) || isBlockedAddress(hostname)) {
+    violations.push({ rule: 'private_address', message: `Host ${hostname} is a private or reserved address` });
+  } else if (RESOLVE_DNS && !net.isIP(hostname)) {
+    try {
+      const blocked = (await resolveAddresses(hostname)).filter(isBlockedAddress);
+      if (blocked.length > 0) {
+        violations.push({
+          rule: 'private_resolution',
+          message: `Host ${hostname} resolves to a private or reserved address (${blocked.join(', ')})`
+        });
+      }
+    } catch (error) {
+      // Fail closed: a host that cannot be checked is not accepted
+      logger.warn('Destination DNS lookup failed', { hostname, error: error.message });
+      Log("backend", "warn", "utils", `Destination DNS lookup failed for ${hostname}: ${error.message}`);
+      violations.push({ rule: 'unresolvable', message: `Host ${hostname} could not be resolved` });
+    }
+  }
+
+  if (violations.length > 0) {
+    logger.warn('Destination rejected by policy', { url, rules: violations.map(v => v.rule) });
+    Log("backend", "warn", "utils", `Destination rejected by policy: ${hostname}`);
+  }
+
+  return violations;
+};
+
+module.exports = {
+  checkDestination,
+  isBlockedAddress,
+  resolvePublicAddress,
+  pinnedLookup
+};
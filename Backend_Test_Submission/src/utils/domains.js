@@ -0,0 +1,61 @@
+const parseList = (value) =>
+  (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+
+// Branded hostnames short links can be created on, e.g. "go.ourbrand.com,ourbrand.link".
+// Each domain has its own shortcode namespace. Without any configured domains
+// links are built from the request Host header and share one namespace.
+const SHORT_DOMAINS = parseList(process.env.SHORT_DOMAINS);
+const DEFAULT_DOMAIN = (process.env.DEFAULT_DOMAIN || '').trim().toLowerCase() || SHORT_DOMAINS[0] || null;
+if (DEFAULT_DOMAIN && !SHORT_DOMAINS.includes(DEFAULT_DOMAIN)) {
+  SHORT_DOMAINS.push(DEFAULT_DOMAIN);
+}
+
+// What a redirect request on an unregistered host gets:
+// 'default' (resolve in the default domain), 'notfound' (404) or a URL to redirect to
+const UNKNOWN_HOST_FALLBACK = (process.env.UNKNOWN_HOST_FALLBACK || 'default').trim();
+
+const isDomainsEnabled = () => SHORT_DOMAINS.length > 0;
+
+const isRegisteredDomain = (domain) =>
+  typeof domain === 'string' && SHORT_DOMAINS.includes(domain.toLowerCase());
+
+const listDomains = () => SHORT_DOMAINS.map(domain => ({
+  domain,
+  isDefault: domain === DEFAULT_DOMAIN
+}));
+
+// Storage key of a link: the shortcode, qualified by its domain if it has one
+const linkId = (domain, shortcode) => (domain ? `${domain}/${shortcode}` : shortcode);
+
+// Domain a management request refers to: an explicit (registered) domain,
+// else the request host if it is registered, else the default domain.
+// Returns undefined for an explicit domain that is not registered.
+const domainForRequest = (req, explicitDomain) => {
+  if (!isDomainsEnabled()) return null;
+  if (explicitDomain !== undefined && explicitDomain !== null && explicitDomain !== '') {
+    return isRegisteredDomain(explicitDomain) ? explicitDomain.toLowerCase() : undefined;
+  }
+  return isRegisteredDomain(req.hostname) ? req.hostname.toLowerCase() : DEFAULT_DOMAIN;
+};
+
+// Where a redirect request on `req.hostname` should be resolved:
+// { domain } for a known (or defaulted) host, { notFound: true } or { redirectTo }
+const resolveRedirectHost = (req) => {
+  if (!isDomainsEnabled()) return { domain: null };
+  if (isRegisteredDomain(req.hostname)) return { domain: req.hostname.toLowerCase() };
+
+  if (UNKNOWN_HOST_FALLBACK === 'notfound') return { notFound: true };
+  if (/^https?:\/\//i.test(UNKNOWN_HOST_FALLBACK)) return { redirectTo: UNKNOWN_HOST_FALLBACK };
+  return { domain: DEFAULT_DOMAIN };
+};
+
+module.exports = {
+  DEFAULT_DOMAIN,
+  UNKNOWN_HOST_FALLBACK,
+  isDomainsEnabled,
+  isRegisteredDomain,
+  listDomains,
+  linkId,
+  domainForRequest,
+  resolveRedirectHost
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const net = require('net');
+const v8 = require('v8');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const UrlModel = require('../models/UrlModel');
+const { logger } = require('../middleware/logger');
+const { getDeliveryStats, LOG_ENDPOINT } = require('../Logging-Middleware/logger');
+
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 1000;
+const MAX_EVENT_LOOP_LAG_MS = parseInt(process.env.HEALTH_MAX_EVENT_LOOP_LAG_MS, 10) || 200;
+// Share of the V8 heap limit in use before the instance reports not ready
+const MAX_HEAP_USAGE = parseFloat(process.env.HEALTH_MAX_HEAP_USAGE) || 0.9;
+// Remote log outages only warn unless the sink is required
+const REQUIRE_REMOTE_LOG = process.env.HEALTH_REQUIRE_REMOTE_LOG === 'true';
+// How long a remote log reachability probe is reused, so frequent readiness
+// checks do not open a connection to the log service each time
+const REMOTE_LOG_CACHE_MS = parseInt(process.env.HEALTH_REMOTE_LOG_CACHE_MS, 10) || 30 * 1000;
+
+// Event loop delay is sampled continuously; each readiness check reads and
+// resets the window. The sampling timer does not keep the process alive.
+const LAG_RESOLUTION_MS = 20;
+const loopDelay = monitorEventLoopDelay({ resolution: LAG_RESOLUTION_MS });
+loopDelay.enable();
+
+let shuttingDown = false;
+
+// Called by gracefulShutdown so load balancers stop routing new traffic here
+const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+const isShuttingDown = () => shuttingDown;
+
+const checkStorage = () => ({ status: 'ok', ...UrlModel.checkStorage() });
+
+const checkLogDirectory = async () => {
+  await fs.promises.access(logger.logDir, fs.constants.W_OK);
+  return { status: 'ok', path: logger.logDir };
+};
+
+// Open a TCP connection to the remote log service; resolves to an error
+// message, or null when it connected
+const probeRemoteLog = () => new Promise(resolve => {
+  const { hostname, port } = LOG_ENDPOINT;
+  const socket = net.connect({ host: hostname, port });
+  const finish = (error) => {
+    socket.destroy();
+    resolve(error);
+  };
+
+  socket.setTimeout(CHECK_TIMEOUT_MS, () => finish(`No connection within ${CHECK_TIMEOUT_MS}ms`));
+  socket.once('connect', () => finish(null));
+  socket.once('error', error => finish(error.message));
+});
+
+// Latest probe as { checkedAt, promise }; concurrent checks share one probe
+let remoteLogProbe = null;
+
+// TCP reachability of the remote log service plus its delivery counters
+const checkRemoteLog = async () => {
+  if (!remoteLogProbe || Date.now() - remoteLogProbe.checkedAt > REMOTE_LOG_CACHE_MS) {
+    remoteLogProbe = { checkedAt: Date.now(), promise: probeRemoteLog() };
+  }
+  const error = await remoteLogProbe.promise;
+
+  return {
+    status: error ? (REQUIRE_REMOTE_LOG ? 'fail' : 'warn') : 'ok',
+    endpoint: `${LOG_ENDPOINT.hostname}:${LOG_ENDPOINT.port}`,
+    ...(error && { error }),
+    delivery: getDeliveryStats()
+  };
+};
+
+const checkEventLoop = () => {
+  // Samples include the timer resolution itself
+  const lagMs = Math.max(0, loopDelay.percentile(99) / 1e6 - LAG_RESOLUTION_MS);
+  const maxMs = Math.max(0, loopDelay.max / 1e6 - LAG_RESOLUTION_MS);
+  loopDelay.reset();
+
+  return {
+    status: lagMs > MAX_EVENT_LOOP_LAG_MS ? 'fail' : 'ok',
+    p99LagMs: Math.round(lagMs),
+    maxLagMs: Math.round(maxMs),
+    thresholdMs: MAX_EVENT_LOOP_LAG_MS
+  };
+};
+
+const checkMemory = () => {
+  const { rss, heapUsed } = process.memoryUsage();
+  const heapLimit = v8.getHeapStatistics().heap_size_limit;
+  const heapUsage = heapUsed / heapLimit;
+
+  return {
+    status: heapUsage > MAX_HEAP_USAGE ? 'fail' : 'ok',
+    rssBytes: rss,
+    heapUsedBytes: heapUsed,
+    heapLimitBytes: heapLimit,
+    heapUsage: Math.round(heapUsage * 1000) / 1000,
+    threshold: MAX_HEAP_USAGE
+  };
+};
+
+// Run a check, turning exceptions (and hangs) into a failed component
+const runCheck = async (check) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Check timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS * 2);
+  });
+
+  try {
+    return await Promise.race([check(), timeout]);
+  } catch (error) {
+    return { status: 'fail', error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Readiness report. status is 'ok', 'degraded' (a component failed) or
+// 'shutting_down'; only 'ok' should receive traffic. 'warn' components are
+// reported without affecting readiness.
+const checkReadiness = async () => {
+  const [storage, logDirectory, remoteLog, eventLoop, memory] = await Promise.all([
+    runCheck(checkStorage),
+    runCheck(checkLogDirectory),
+    runCheck(checkRemoteLog),
+    runCheck(checkEventLoop),
+    runCheck(checkMemory)
+  ]);
+  const components = { storage, logDirectory, remoteLog, eventLoop, memory };
+
+  const failed = Object.keys(components).filter(name => components[name].status === 'fail');
+  const status = shuttingDown ? 'shutting_down' : failed.length > 0 ? 'degraded' : 'ok';
+
+  return { status, failed, components };
+};
+
+module.exports = {
+  markShuttingDown,
+  isShuttingDown,
+  checkReadiness
+};
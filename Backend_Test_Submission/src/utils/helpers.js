@@ -1,8 +1,21 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
 const { nanoid } = require('nanoid');
 const validator = require('validator');
 const geoip = require('geoip-lite');
 const { logger } = require('../middleware/logger');
 const { Log } = require('../Logging-Middleware/logger'); // ✅ Add this line
+const { isPrivacyEnabled, stripQueryString } = require('./privacy');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Secret for visitor hashes. Without a configured value a per-process secret is
+// used, so unique visitor counts restart whenever the service does.
+const VISITOR_HASH_SECRET = process.env.VISITOR_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.VISITOR_HASH_SECRET) {
+  logger.warn('VISITOR_HASH_SECRET not set; using a per-process secret for visitor hashes');
+}
 
 class UrlHelpers {
   static generateShortcode(length = 6) {
@@ -23,18 +36,9 @@ class UrlHelpers {
         return false;
       }
 
-      const urlObj = new URL(url);
-      const hostname = urlObj.hostname.toLowerCase();
-
-      if (
-        hostname === 'localhost' ||
-        hostname === '127.0.0.1' ||
-        hostname.startsWith('192.168.') ||
-        hostname.startsWith('10.')
-      ) {
-        logger.warn('URL with internal/localhost domain detected', { url, hostname });
-        Log("backend", "warn", "utils", `Internal/localhost domain detected: ${hostname}`);
-      }
+      // Destination safety (private hosts, allow/deny lists) is enforced
+      // separately by checkDestination in destinationPolicy.js
+      new URL(url);
 
       return true;
     } catch (error) {
@@ -44,17 +48,41 @@ class UrlHelpers {
     }
   }
 
+  // Shortcodes that would be shadowed by API routes (routing is case-insensitive);
+  // "export" would hide the stats of a link at GET /shorturls/export, and
+  // "api" is kept free for the /api prefix every management route is also under
+  static isReservedShortcode(shortcode) {
+    return ['shorturls', 'api', 'webhooks', 'tags', 'collections', 'metrics', 'health', 'export'].includes(String(shortcode).toLowerCase());
+  }
+
+  // HTTP statuses a link may redirect with (302 unless configured)
+  static isValidRedirectStatus(status) {
+    return [301, 302, 307, 308].includes(status);
+  }
+
   static isValidShortcode(shortcode) {
     const shortcodeRegex = /^[a-zA-Z0-9]{3,20}$/;
     return shortcodeRegex.test(shortcode);
   }
 
-  static calculateExpiryDate(validityMinutes = 30) {
+  // Validity runs from `start` (now, or a future activation time)
+  static calculateExpiryDate(validityMinutes = 30, start = new Date()) {
     if (!validityMinutes || validityMinutes < 1) {
       validityMinutes = 30;
     }
-    const now = new Date();
-    return new Date(now.getTime() + validityMinutes * 60 * 1000);
+    return new Date(start.getTime() + validityMinutes * 60 * 1000);
+  }
+
+  // Parse an optional activation time; returns a Date, null (not set) or false (invalid)
+  static parseActiveFrom(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const date = new Date(value);
+    const maxDate = Date.now() + 525600 * 60 * 1000;
+    if (isNaN(date.getTime()) || date.getTime() > maxDate) {
+      return false;
+    }
+    return date;
   }
 
   static getLocationFromIP(ip) {
@@ -106,8 +134,10 @@ class UrlHelpers {
       const url = new URL(referrer);
       return url.hostname;
     } catch (error) {
-      logger.warn('Invalid referrer URL', { referrer });
-      Log("backend", "warn", "utils", `Invalid referrer URL: ${referrer}`);
+      // Referrers may carry tokens or personal data in their query string
+      const safeReferrer = isPrivacyEnabled() ? stripQueryString(referrer) : referrer;
+      logger.warn('Invalid referrer URL', { referrer: safeReferrer });
+      Log("backend", "warn", "utils", `Invalid referrer URL: ${safeReferrer}`);
       return 'unknown';
     }
   }
@@ -122,6 +152,37 @@ class UrlHelpers {
     );
   }
 
+  // Keyed, non-reversible visitor id derived from IP and user agent
+  static hashVisitor(ip, userAgent) {
+    return crypto
+      .createHmac('sha256', VISITOR_HASH_SECRET)
+      .update(`${ip}|${userAgent || ''}`)
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  static isValidPassword(password) {
+    return typeof password === 'string' && password.length >= 4 && password.length <= 128;
+  }
+
+  // Salted scrypt hash, stored as "scrypt$<salt>$<hash>"
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+  }
+
+  static async verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
   static sanitizeInput(input) {
     if (typeof input !== 'string') return input;
     return input.replace(/[<>]/g, '').trim();
@@ -138,11 +199,24 @@ class UrlHelpers {
     return response;
   }
 
-  static generateShortUrl(req, shortcode) {
+  // Links on a branded domain are built from that domain, others from the Host header
+  static generateShortUrl(req, shortcode, domain = null) {
     const protocol = req.protocol;
-    const host = req.get('Host');
+    const host = domain || req.get('Host');
     return `${protocol}://${host}/${shortcode}`;
   }
+
+  // Link preview page: the short URL with a trailing "+"
+  static generatePreviewUrl(req, shortcode, domain = null) {
+    return `${UrlHelpers.generateShortUrl(req, shortcode, domain)}+`;
+  }
+
+  static generateQrUrl(req, shortcode, domain = null) {
+    const protocol = req.protocol;
+    const host = req.get('Host');
+    const query = domain ? `?domain=${encodeURIComponent(domain)}` : '';
+    return `${protocol}://${host}/shorturls/${shortcode}/qr${query}`;
+  }
 }
 
 module.exports = UrlHelpers;
@@ -0,0 +1,62 @@
+// Descriptive metadata used to organize links: title, description,
+// tags (lowercase slugs) and a single collection (folder) per link.
+const MAX_TAGS = 20;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const COLLECTION_PATTERN = /^[\w][\w .-]{0,63}$/;
+
+const normalizeTag = (tag) => (typeof tag === 'string' ? tag.trim().toLowerCase() : tag);
+
+const isValidTag = (tag) => typeof tag === 'string' && TAG_PATTERN.test(normalizeTag(tag));
+
+const isValidCollection = (name) => typeof name === 'string' && COLLECTION_PATTERN.test(name.trim());
+
+// Validate the metadata fields present in a create/update body.
+// null clears a field, so it is always accepted.
+const validateMetadata = ({ title, description, tags, collection }) => {
+  const errors = [];
+
+  if (title !== undefined && title !== null && (typeof title !== 'string' || title.length > 200)) {
+    errors.push('title must be a string of at most 200 characters');
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 1000)) {
+    errors.push('description must be a string of at most 1000 characters');
+  }
+
+  if (tags !== undefined && tags !== null) {
+    if (!Array.isArray(tags)) {
+      errors.push('tags must be an array of strings');
+    } else {
+      if (tags.length > MAX_TAGS) {
+        errors.push(`At most ${MAX_TAGS} tags are allowed`);
+      }
+      tags.forEach((tag, index) => {
+        if (!isValidTag(tag)) {
+          errors.push(`tags[${index}] must be 1-32 characters of letters, digits, "-" or "_"`);
+        }
+      });
+    }
+  }
+
+  if (collection !== undefined && collection !== null && !isValidCollection(collection)) {
+    errors.push('collection must be 1-64 characters of letters, digits, spaces, ".", "-" or "_"');
+  }
+
+  return errors;
+};
+
+// Normalized metadata for storage; only fields present in the input are returned
+const normalizeMetadata = ({ title, description, tags, collection }) => ({
+  ...(title !== undefined && { title: title || null }),
+  ...(description !== undefined && { description: description || null }),
+  ...(tags !== undefined && { tags: tags ? Array.from(new Set(tags.map(normalizeTag))) : [] }),
+  ...(collection !== undefined && { collection: collection ? collection.trim() : null })
+});
+
+module.exports = {
+  normalizeTag,
+  isValidTag,
+  isValidCollection,
+  validateMetadata,
+  normalizeMetadata
+};
@@ -0,0 +1,149 @@
+// Row formats for bulk link export (CSV/NDJSON) and import (CSV/JSON)
+const { UTM_FIELDS } = require('./utm');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+// links: one row per link; clicks: one row per recorded click
+const EXPORT_DATA = ['links', 'clicks'];
+
+const UTM_COLUMNS = UTM_FIELDS.map(field => `utm_${field}`);
+
+// CSV columns of a link export. Rules and A/B variants are nested, so they
+// are only included in NDJSON exports.
+const LINK_COLUMNS = [
+  'shortcode', 'domain', 'shortLink', 'originalUrl', 'owner',
+  'title', 'description', 'tags', 'collection',
+  'createdAt', 'updatedAt', 'activeFrom', 'expiryDate', 'state', 'isActive',
+  'totalClicks', 'humanClicks', 'botClicks', 'uniqueVisitors',
+  'maxClicks', 'remainingClicks', 'passwordProtected', 'failedPasswordAttempts',
+  'redirectStatus', 'forwardQuery', ...UTM_COLUMNS
+];
+
+const CLICK_COLUMNS = [
+  'shortcode', 'domain', 'timestamp', 'referrer', 'country', 'region', 'city',
+  'browser', 'os', 'device', 'isBot', 'botName', 'isUnique', 'visitorId', 'rule', 'variant'
+];
+
+// Columns accepted by a CSV import; matched case-insensitively
+const IMPORT_COLUMNS = [
+  'url', 'shortcode', 'validity', 'domain', 'password', 'maxClicks', 'activeFrom',
+  'title', 'description', 'tags', 'collection', 'redirectStatus', 'forwardQuery', ...UTM_COLUMNS
+];
+const INTEGER_COLUMNS = ['validity', 'maxClicks', 'redirectStatus'];
+const BOOLEAN_COLUMNS = ['forwardQuery'];
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+// Export record of a link from its getAnalytics data (raw clicks left out)
+const linkRecord = (analytics, shortLink) => {
+  const { clicks, ...link } = analytics;
+  return { ...link, shortLink };
+};
+
+const linkCsvValues = (record) => LINK_COLUMNS.map(column => {
+  if (column.startsWith('utm_')) {
+    return record.utm ? record.utm[column.slice(4)] : null;
+  }
+  return record[column];
+});
+
+// Flat export records of a link's retained clicks
+const clickRecords = (analytics) => analytics.clicks.map(click => {
+  const location = click.location && typeof click.location === 'object' ? click.location : {};
+
+  return {
+    shortcode: analytics.shortcode,
+    domain: analytics.domain,
+    timestamp: click.timestamp,
+    referrer: click.referrer,
+    country: location.country || 'Unknown',
+    region: location.region || 'Unknown',
+    city: location.city || 'Unknown',
+    browser: click.browser,
+    os: click.os,
+    device: click.device,
+    isBot: Boolean(click.isBot),
+    botName: click.botName || null,
+    isUnique: Boolean(click.isUnique),
+    visitorId: click.visitorId || null,
+    rule: click.rule,
+    variant: click.variant || null
+  };
+});
+
+const clickCsvValues = (record) => CLICK_COLUMNS.map(column => record[column]);
+
+// Map a CSV header row to import column names.
+// Returns { columns, errors }; unknown or repeated columns are errors.
+const parseImportHeader = (header) => {
+  const errors = [];
+  const columns = header.map(name => {
+    const column = IMPORT_COLUMNS.find(known => known.toLowerCase() === name.trim().toLowerCase());
+    if (!column) {
+      errors.push(`Unknown column "${name}" (use ${IMPORT_COLUMNS.join(', ')})`);
+    }
+    return column;
+  });
+
+  columns
+    .filter((column, index) => column && columns.indexOf(column) !== index)
+    .forEach(column => errors.push(`Column "${column}" appears more than once`));
+
+  if (!columns.includes('url')) {
+    errors.push('A url column is required');
+  }
+
+  return { columns, errors };
+};
+
+// Turn a CSV row into a create request body like POST /shorturls takes.
+// Empty cells are left out; tags are separated by "|".
+// Returns { item, errors } with errors for cells that cannot be converted.
+const csvRowToItem = (columns, cells) => {
+  const item = {};
+  const errors = [];
+
+  if (cells.length > columns.length) {
+    errors.push(`Row has ${cells.length} cells but the header has ${columns.length} columns`);
+  }
+
+  columns.forEach((column, index) => {
+    const value = (cells[index] || '').trim();
+    if (value === '') return;
+
+    if (INTEGER_COLUMNS.includes(column)) {
+      if (/^\d+$/.test(value)) {
+        item[column] = parseInt(value, 10);
+      } else {
+        errors.push(`${column} must be a whole number`);
+      }
+    } else if (BOOLEAN_COLUMNS.includes(column)) {
+      const flag = BOOLEAN_VALUES[value.toLowerCase()];
+      if (flag === undefined) {
+        errors.push(`${column} must be true or false`);
+      } else {
+        item[column] = flag;
+      }
+    } else if (column === 'tags') {
+      item.tags = value.split('|').map(tag => tag.trim()).filter(Boolean);
+    } else if (UTM_COLUMNS.includes(column)) {
+      item.utm = { ...item.utm, [column.slice(4)]: value };
+    } else {
+      item[column] = value;
+    }
+  });
+
+  return { item, errors };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_DATA,
+  LINK_COLUMNS,
+  CLICK_COLUMNS,
+  IMPORT_COLUMNS,
+  linkRecord,
+  linkCsvValues,
+  clickRecords,
+  clickCsvValues,
+  parseImportHeader,
+  csvRowToItem
+};
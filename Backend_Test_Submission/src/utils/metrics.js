@@ -0,0 +1,144 @@
+// In-process metrics rendered in the Prometheus text exposition format
+// (version 0.0.4) by GET /metrics. Values reset when the process restarts.
+
+// Request latency buckets in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+class Metric {
+  constructor(type, name, help, { buckets } = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    // One series per distinct label set
+    this.series = new Map();
+    registry.push(this);
+  }
+
+  seriesFor(labels) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, this.type === 'histogram'
+        ? { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 });
+    }
+    return this.series.get(key);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels).value += value;
+  }
+
+  // Gauges, and counters whose running total is kept elsewhere
+  set(labels, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+    this.series.forEach(({ labels, value, counts, sum, count }) => {
+      if (this.type !== 'histogram') {
+        lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        return;
+      }
+
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+
+    return lines.join('\n');
+  }
+}
+
+const httpRequestsTotal = new Metric('counter', 'http_requests_total',
+  'HTTP requests by method, route and status code');
+const httpRequestDuration = new Metric('histogram', 'http_request_duration_seconds',
+  'HTTP request latency by method and route', { buckets: DURATION_BUCKETS });
+const redirectsTotal = new Metric('counter', 'shortener_redirects_total',
+  'Short link requests by result (hit, miss, expired, inactive, exhausted, scheduled, invalid, unknown_host)');
+const linksCreatedTotal = new Metric('counter', 'shortener_links_created_total',
+  'Short links created');
+const linksActive = new Metric('gauge', 'shortener_links_active',
+  'Short links that currently redirect');
+const cleanupRunsTotal = new Metric('counter', 'shortener_cleanup_runs_total',
+  'Expired link cleanup runs');
+const cleanupRemovedTotal = new Metric('counter', 'shortener_cleanup_removed_links_total',
+  'Expired links removed by cleanup');
+const remoteLogFailuresTotal = new Metric('counter', 'shortener_remote_log_failures_total',
+  'Log entries the remote log service did not accept');
+const residentMemory = new Metric('gauge', 'process_resident_memory_bytes',
+  'Resident memory size in bytes');
+const heapUsed = new Metric('gauge', 'nodejs_heap_used_bytes',
+  'V8 heap in use in bytes');
+const processStartTime = new Metric('gauge', 'process_start_time_seconds',
+  'Start time of the process since the Unix epoch in seconds');
+
+// Unlabeled counters are reported from zero rather than appearing on first use
+[linksCreatedTotal, cleanupRunsTotal, cleanupRemovedTotal].forEach(metric => metric.inc({}, 0));
+processStartTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+// Route template of a request (e.g. /shorturls/:shortcode) so shortcodes do
+// not become label values; requests that matched no route share one label
+const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+// Called by requestLogger once the response has been sent
+const recordHttpRequest = (req, statusCode, durationMs) => {
+  const route = routeLabel(req);
+  httpRequestsTotal.inc({ method: req.method, route, status: statusCode });
+  httpRequestDuration.observe({ method: req.method, route }, durationMs / 1000);
+};
+
+const recordRedirect = (result) => redirectsTotal.inc({ result });
+
+const recordLinkCreated = () => linksCreatedTotal.inc();
+
+const recordCleanup = (removed) => {
+  cleanupRunsTotal.inc();
+  cleanupRemovedTotal.inc({}, removed);
+};
+
+// Metrics sampled at scrape time rather than counted as events happen
+const setScrapeValues = ({ activeLinks, remoteLogFailures }) => {
+  linksActive.set({}, activeLinks);
+  remoteLogFailuresTotal.set({}, remoteLogFailures);
+
+  const memory = process.memoryUsage();
+  residentMemory.set({}, memory.rss);
+  heapUsed.set({}, memory.heapUsed);
+};
+
+const renderMetrics = () => `${registry.map(metric => metric.render()).join('\n')}\n`;
+
+module.exports = {
+  recordHttpRequest,
+  recordRedirect,
+  recordLinkCreated,
+  recordCleanup,
+  setScrapeValues,
+  renderMetrics
+};
@@ -0,0 +1,110 @@
+const http = require('http');
+const https = require('https');
+const { logger } = require('../middleware/logger');
+const { Log } = require('../Logging-Middleware/logger');
+const { resolvePublicAddress, pinnedLookup } = require('./destinationPolicy');
+
+// Link previews show the destination's <title>. Fetching is best effort:
+// short timeout, capped download, public addresses only, no redirects
+// followed, results cached.
+const FETCH_TITLES = process.env.PREVIEW_FETCH_TITLE !== 'false';
+const FETCH_TIMEOUT_MS = parseInt(process.env.PREVIEW_TITLE_TIMEOUT_MS, 10) || 2000;
+const MAX_BYTES = 64 * 1024;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+
+const cache = new Map();
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+const extractTitle = (html) => {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  if (!match) return null;
+  const title = decodeEntities(match[1]).replace(/\s+/g, ' ').trim();
+  return title ? title.slice(0, 300) : null;
+};
+
+// Read at most MAX_BYTES of the response body as text
+const readLimited = (response) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  response.on('data', chunk => {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= MAX_BYTES) {
+      response.destroy();
+      resolve(Buffer.concat(chunks).subarray(0, MAX_BYTES).toString('utf8'));
+    }
+  });
+  response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  response.on('error', reject);
+  // Aborted by the timeout before the body finished
+  response.on('close', () => reject(new Error('Response closed before the body was read')));
+});
+
+// The address is checked once and the connection pinned to it (DNS is not
+// consulted again), so a rebinding name cannot point the request at an
+// internal host after passing the check
+const fetchTitle = async (url) => {
+  const target = new URL(url);
+  const address = await resolvePublicAddress(target.hostname);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const response = await new Promise((resolve, reject) => {
+    const request = client.get(target, {
+      lookup: pinnedLookup(address),
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      headers: { 'User-Agent': 'URL-Shortener-Preview/1.0', Accept: 'text/html' }
+    }, resolve);
+    request.on('error', reject);
+  });
+
+  // Redirects are not followed
+  const contentType = response.headers['content-type'] || '';
+  if (response.statusCode !== 200 || !contentType.includes('html')) {
+    response.destroy();
+    return null;
+  }
+
+  return extractTitle(await readLimited(response));
+};
+
+// Returns the page title of `url`, or null when it cannot be determined
+const getPageTitle = async (url) => {
+  if (!FETCH_TITLES) return null;
+
+  const cached = cache.get(url);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached.title;
+  }
+
+  let title = null;
+  try {
+    title = await fetchTitle(url);
+  } catch (error) {
+    logger.warn('Could not fetch page title for preview', { url, error: error.message });
+    Log("backend", "warn", "utils", `Preview title fetch failed: ${error.message}`);
+  }
+
+  // Drop the oldest entry once the cache is full
+  if (cache.size >= CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(url, { title, fetchedAt: Date.now() });
+
+  return title;
+};
+
+module.exports = {
+  extractTitle,
+  getPageTitle
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// PRIVACY_MODE: 'off' stores full IPs, 'truncate' zeroes the host part
+// (IPv4 /24, IPv6 /48), 'hash' replaces the IP with a keyed hash
+const PRIVACY_MODES = ['off', 'truncate', 'hash'];
+const PRIVACY_MODE = PRIVACY_MODES.includes((process.env.PRIVACY_MODE || '').toLowerCase())
+  ? process.env.PRIVACY_MODE.toLowerCase()
+  : 'off';
+
+const IP_HASH_SECRET = process.env.PRIVACY_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+
+const isPrivacyEnabled = () => PRIVACY_MODE !== 'off';
+
+// Expand "::" shorthand into eight 16-bit groups
+const expandIPv6 = (ip) => {
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = ip.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+  return [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+};
+
+const truncateIP = (ip) => {
+  // IPv4-mapped IPv6 addresses ("::ffff:1.2.3.4") keep their prefix
+  const mapped = ip.match(/^(::ffff:)?(\d+\.\d+\.\d+)\.\d+$/i);
+  if (mapped) {
+    return `${mapped[1] || ''}${mapped[2]}.0`;
+  }
+
+  if (net.isIPv6(ip)) {
+    return `${expandIPv6(ip).slice(0, 3).join(':')}::`;
+  }
+
+  return 'unknown';
+};
+
+const hashIP = (ip) =>
+  crypto.createHmac('sha256', IP_HASH_SECRET).update(ip).digest('hex').slice(0, 16);
+
+// Apply the configured privacy mode to an IP before it is stored or logged
+const anonymizeIP = (ip) => {
+  if (!ip || PRIVACY_MODE === 'off') return ip;
+  return PRIVACY_MODE === 'hash' ? hashIP(ip) : truncateIP(ip);
+};
+
+// Drop query string and fragment, which often carry personal data
+const stripQueryString = (url) => {
+  if (!url) return url;
+  try {
+    const parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.toString();
+  } catch (error) {
+    return String(url).split(/[?#]/)[0];
+  }
+};
+
+module.exports = {
+  PRIVACY_MODE,
+  isPrivacyEnabled,
+  anonymizeIP,
+  stripQueryString
+};
@@ -0,0 +1,115 @@
+const UrlHelpers = require('./helpers');
+const { pickVariant } = require('./variants');
+
+const MAX_RULES = 20;
+const CONDITION_KEYS = ['device', 'os', 'country', 'language'];
+const DEVICES = ['mobile', 'tablet', 'desktop'];
+
+// Accept-Language -> most preferred language tag, lowercased ("en-us")
+const preferredLanguage = (acceptLanguage) => {
+  if (!acceptLanguage) return null;
+
+  const [best] = acceptLanguage
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag: tag.toLowerCase(), q: quality ? parseFloat(quality.slice(2)) : 1 };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  return best ? best.tag : null;
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).map(v => String(v).toLowerCase());
+
+// "pt" matches "pt" and "pt-br"; "pt-br" matches only "pt-br"
+const matchesLanguage = (wanted, language) =>
+  Boolean(language) && wanted.some(tag => language === tag || language.startsWith(`${tag}-`));
+
+const matchesRule = (conditions, context) =>
+  Object.entries(conditions).every(([key, value]) => {
+    const wanted = toList(value);
+    if (key === 'language') return matchesLanguage(wanted, context.language);
+    return Boolean(context[key]) && wanted.includes(String(context[key]).toLowerCase());
+  });
+
+// Validate rules supplied by a client. Returns a list of error messages.
+// Rule shape: { name?, conditions: { device?, os?, country?, language? }, destination }
+const validateRules = (rules) => {
+  if (!Array.isArray(rules)) return ['rules must be an array'];
+  if (rules.length > MAX_RULES) return [`At most ${MAX_RULES} rules are allowed`];
+
+  const errors = [];
+  rules.forEach((rule, index) => {
+    const label = `rules[${index}]`;
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (rule.name !== undefined && (typeof rule.name !== 'string' || !rule.name.trim())) {
+      errors.push(`${label}.name must be a non-empty string`);
+    }
+    if (typeof rule.destination !== 'string' || !UrlHelpers.isValidUrl(rule.destination)) {
+      errors.push(`${label}.destination must be a valid HTTP/HTTPS URL`);
+    }
+
+    const conditions = rule.conditions;
+    if (!conditions || typeof conditions !== 'object' || Object.keys(conditions).length === 0) {
+      errors.push(`${label}.conditions must contain at least one of ${CONDITION_KEYS.join(', ')}`);
+      return;
+    }
+
+    Object.entries(conditions).forEach(([key, value]) => {
+      const values = Array.isArray(value) ? value : [value];
+      if (!CONDITION_KEYS.includes(key)) {
+        errors.push(`${label}.conditions.${key} is not a supported condition`);
+      } else if (values.length === 0 || values.some(v => typeof v !== 'string' || !v.trim())) {
+        errors.push(`${label}.conditions.${key} must be a string or an array of strings`);
+      } else if (key === 'device' && values.some(v => !DEVICES.includes(v.toLowerCase()))) {
+        errors.push(`${label}.conditions.device must be one of ${DEVICES.join(', ')}`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+// Store rules in a canonical form with a stable name for analytics
+const normalizeRules = (rules) =>
+  rules.map((rule, index) => ({
+    name: rule.name ? rule.name.trim() : `rule-${index + 1}`,
+    conditions: Object.fromEntries(
+      Object.entries(rule.conditions).map(([key, value]) => [key, Array.isArray(value) ? value : [value]])
+    ),
+    destination: rule.destination
+  }));
+
+// Pick the destination for a visit. The first matching rule wins; otherwise
+// the fallback is a weighted A/B variant when configured, else originalUrl.
+// Returns { destination, rule, variant }.
+const selectDestination = (urlData, { device, os, country, acceptLanguage, visitorId }) => {
+  const context = { device, os, country, language: preferredLanguage(acceptLanguage) };
+  const match = (urlData.rules || []).find(rule => matchesRule(rule.conditions, context));
+
+  if (match) {
+    return { destination: match.destination, rule: match.name, variant: null };
+  }
+
+  if (urlData.variants && urlData.variants.length > 0) {
+    const variant = pickVariant(urlData, visitorId);
+    return { destination: variant.url, rule: 'default', variant: variant.name };
+  }
+
+  return { destination: urlData.originalUrl, rule: 'default', variant: null };
+};
+
+module.exports = {
+  MAX_RULES,
+  validateRules,
+  normalizeRules,
+  selectDestination,
+  preferredLanguage
+};
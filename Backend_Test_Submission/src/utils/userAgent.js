@@ -0,0 +1,84 @@
+// Lightweight User-Agent classification for click analytics.
+// Order matters: many browsers embed the tokens of the ones they derive from.
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\//i },
+  { name: 'Opera', pattern: /OPR\/|Opera/i },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\//i },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\//i },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\//i },
+  { name: 'Safari', pattern: /Version\/[\d.]+.*Safari\//i },
+  { name: 'Internet Explorer', pattern: /MSIE |Trident\//i }
+];
+
+// Known crawlers, link-preview unfurlers and monitoring probes
+const BOTS = [
+  { name: 'Slack', pattern: /Slackbot|Slack-ImgProxy/i },
+  { name: 'Twitter', pattern: /Twitterbot/i },
+  { name: 'WhatsApp', pattern: /WhatsApp/i },
+  { name: 'Facebook', pattern: /facebookexternalhit|Facebot|meta-externalagent/i },
+  { name: 'LinkedIn', pattern: /LinkedInBot/i },
+  { name: 'Discord', pattern: /Discordbot/i },
+  { name: 'Telegram', pattern: /TelegramBot/i },
+  { name: 'Skype', pattern: /SkypeUriPreview/i },
+  { name: 'Google', pattern: /Googlebot|Google-InspectionTool|AdsBot-Google|APIs-Google/i },
+  { name: 'Bing', pattern: /bingbot|BingPreview/i },
+  { name: 'UptimeRobot', pattern: /UptimeRobot/i },
+  { name: 'Pingdom', pattern: /Pingdom/i },
+  { name: 'StatusCake', pattern: /StatusCake/i },
+  { name: 'Datadog', pattern: /Datadog/i },
+  { name: 'HTTP client', pattern: /^(curl|Wget|python-requests|python-urllib|Go-http-client|okhttp|axios|node-fetch|Java\/)/i },
+  { name: 'Headless browser', pattern: /HeadlessChrome|PhantomJS/i },
+  { name: 'Other bot', pattern: /bot\b|crawler|spider|crawling|preview|monitor/i }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows/i },
+  { name: 'Android', pattern: /Android/i },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/i },
+  { name: 'Chrome OS', pattern: /CrOS/i },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/i },
+  { name: 'Linux', pattern: /Linux/i }
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(entry => entry.pattern.test(userAgent));
+  return found ? found.name : 'Other';
+};
+
+const detectDevice = (userAgent) => {
+  if (/iPad|Tablet/i.test(userAgent) || (/Android/i.test(userAgent) && !/Mobile/i.test(userAgent))) {
+    return 'tablet';
+  }
+  if (/Mobi|iPhone|iPod|Android/i.test(userAgent)) {
+    return 'mobile';
+  }
+  return 'desktop';
+};
+
+const detectBot = (userAgent) => {
+  const found = BOTS.find(entry => entry.pattern.test(userAgent));
+  return found ? found.name : null;
+};
+
+// Classify a raw User-Agent string into browser, OS and device type,
+// flagging known bots (device 'bot', botName set)
+const parseUserAgent = (userAgent) => {
+  if (!userAgent || userAgent === 'Unknown') {
+    return { browser: 'Unknown', os: 'Unknown', device: 'unknown', isBot: false, botName: null };
+  }
+
+  const botName = detectBot(userAgent);
+
+  return {
+    browser: match(BROWSERS, userAgent),
+    os: match(OPERATING_SYSTEMS, userAgent),
+    device: botName ? 'bot' : detectDevice(userAgent),
+    isBot: Boolean(botName),
+    botName
+  };
+};
+
+module.exports = {
+  parseUserAgent,
+  detectBot
+};
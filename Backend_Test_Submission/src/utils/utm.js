@@ -0,0 +1,56 @@
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+// Validate per-link UTM defaults ({ source, medium, campaign, term, content }).
+// Returns a list of error messages.
+const validateUtm = (utm) => {
+  if (!utm || typeof utm !== 'object' || Array.isArray(utm)) {
+    return ['utm must be an object'];
+  }
+
+  const errors = [];
+  Object.entries(utm).forEach(([field, value]) => {
+    if (!UTM_FIELDS.includes(field)) {
+      errors.push(`utm.${field} is not supported (use ${UTM_FIELDS.join(', ')})`);
+    } else if (typeof value !== 'string' || !value.trim() || value.length > 200) {
+      errors.push(`utm.${field} must be a non-empty string of at most 200 characters`);
+    }
+  });
+  return errors;
+};
+
+const normalizeUtm = (utm) =>
+  Object.fromEntries(Object.entries(utm).map(([field, value]) => [field, value.trim()]));
+
+// Build the final redirect target. Precedence, highest first:
+//   1. query parameters the visitor arrived with (only when forwardQuery is on)
+//   2. parameters already present in the destination URL
+//   3. the link's UTM defaults (utm_source, utm_medium, ...)
+const applyQueryParams = (destination, { utm = null, forwardQuery = false, incomingQuery = '' } = {}) => {
+  if (!utm && !(forwardQuery && incomingQuery)) return destination;
+
+  const url = new URL(destination);
+
+  if (utm) {
+    Object.entries(utm).forEach(([field, value]) => {
+      if (!url.searchParams.has(`utm_${field}`)) {
+        url.searchParams.set(`utm_${field}`, value);
+      }
+    });
+  }
+
+  if (forwardQuery && incomingQuery) {
+    const incoming = new URLSearchParams(incomingQuery);
+    // Replace rather than append so repeated keys do not pile up
+    new Set(incoming.keys()).forEach(key => url.searchParams.delete(key));
+    incoming.forEach((value, key) => url.searchParams.append(key, value));
+  }
+
+  return url.toString();
+};
+
+module.exports = {
+  UTM_FIELDS,
+  validateUtm,
+  normalizeUtm,
+  applyQueryParams
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const UrlHelpers = require('./helpers');
+
+const MAX_VARIANTS = 10;
+
+// Validate A/B variants supplied by a client. Returns a list of error messages.
+// Variant shape: { name?, url, weight }
+const validateVariants = (variants) => {
+  if (!Array.isArray(variants)) return ['variants must be an array'];
+  if (variants.length < 2 || variants.length > MAX_VARIANTS) {
+    return [`variants must contain between 2 and ${MAX_VARIANTS} entries`];
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  variants.forEach((variant, index) => {
+    const label = `variants[${index}]`;
+
+    if (!variant || typeof variant !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof variant.url !== 'string' || !UrlHelpers.isValidUrl(variant.url)) {
+      errors.push(`${label}.url must be a valid HTTP/HTTPS URL`);
+    }
+    if (!Number.isInteger(variant.weight) || variant.weight < 1 || variant.weight > 1000) {
+      errors.push(`${label}.weight must be an integer between 1 and 1000`);
+    }
+    if (variant.name !== undefined) {
+      if (typeof variant.name !== 'string' || !/^[\w-]{1,40}$/.test(variant.name)) {
+        errors.push(`${label}.name must be 1-40 letters, digits, dashes or underscores`);
+      } else if (names.has(variant.name)) {
+        errors.push(`${label}.name duplicates another variant`);
+      }
+      names.add(variant.name);
+    }
+  });
+
+  return errors;
+};
+
+// Unnamed variants get the first letter ("A", "B", ...) no other variant uses
+const variantNames = (variants) => {
+  const taken = new Set(variants.map(variant => variant.name).filter(Boolean));
+  let next = 0;
+
+  return variants.map(variant => {
+    if (variant.name) return variant.name;
+
+    let name;
+    do {
+      name = String.fromCharCode(65 + next++);
+    } while (taken.has(name));
+    taken.add(name);
+    return name;
+  });
+};
+
+// Store variants with stable, unique names for analytics
+const normalizeVariants = (variants) => {
+  const names = variantNames(variants);
+  return variants.map((variant, index) => ({
+    name: names[index],
+    url: variant.url,
+    weight: variant.weight
+  }));
+};
+
+// Pick a variant by weight. With stickiness the choice is derived from the
+// visitor id, so a returning visitor keeps seeing the same variant.
+const pickVariant = (urlData, visitorId) => {
+  const variants = urlData.variants;
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+  let point;
+  if (urlData.stickyVariants && visitorId) {
+    const digest = crypto.createHash('sha256').update(`${urlData.shortcode}:${visitorId}`).digest();
+    point = digest.readUInt32BE(0) % totalWeight;
+  } else {
+    point = Math.floor(Math.random() * totalWeight);
+  }
+
+  for (const variant of variants) {
+    if (point < variant.weight) return variant;
+    point -= variant.weight;
+  }
+  return variants[variants.length - 1];
+};
+
+module.exports = {
+  MAX_VARIANTS,
+  validateVariants,
+  normalizeVariants,
+  pickVariant
+};
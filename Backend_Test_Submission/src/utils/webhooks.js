@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { logger } = require('../middleware/logger');
+const { Log } = require('../Logging-Middleware/logger');
+const WebhookModel = require('../models/WebhookModel');
+const { checkDestination, resolvePublicAddress, pinnedLookup } = require('./destinationPolicy');
+
+// Events a subscription can listen to ('*' matches all of them)
+const WEBHOOK_EVENTS = [
+  'link.created',
+  'link.updated',
+  'link.deleted',
+  'link.expired',
+  'link.clicked',
+  'link.click_threshold',
+  'link.exhausted'
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS, 10) || 5 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+const CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 4;
+// Deliveries queued or waiting for a retry; new ones beyond this are dead-lettered
+const MAX_PENDING = parseInt(process.env.WEBHOOK_MAX_PENDING, 10) || 10000;
+// Webhook targets on private/loopback addresses are refused unless enabled
+// (e.g. for a local test receiver)
+const ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+// Human click counts that trigger a link.click_threshold event
+const CLICK_THRESHOLDS = (process.env.WEBHOOK_CLICK_THRESHOLDS || '10,100,1000,10000,100000')
+  .split(',')
+  .map(value => parseInt(value, 10))
+  .filter(value => Number.isInteger(value) && value > 0);
+
+// Deliveries waiting for a free slot, how many are in flight and how many
+// are waiting out a retry delay
+const queue = [];
+let active = 0;
+let retrying = 0;
+
+// Validate a subscription request body. Resolves to a list of error messages.
+const validateWebhook = async ({ url, events, description }) => {
+  const errors = [];
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    // reported below
+  }
+  if (typeof url !== 'string' || !parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    errors.push('url must be a valid HTTP/HTTPS URL');
+  } else if (!ALLOW_PRIVATE_TARGETS) {
+    const violations = await checkDestination(url);
+    violations
+      .filter(violation => violation.rule === 'private_address' || violation.rule === 'private_resolution')
+      .forEach(violation => errors.push(`url: ${violation.message}`));
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.push('events must be a non-empty array');
+    } else {
+      events
+        .filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))
+        .forEach(event => errors.push(`events: unknown event "${event}" (use ${WEBHOOK_EVENTS.join(', ')} or *)`));
+    }
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 200)) {
+    errors.push('description must be a string of at most 200 characters');
+  }
+
+  return errors;
+};
+
+// Signature header value: HMAC-SHA256 over "<timestamp>.<body>" with the
+// subscription secret, so receivers can verify origin and reject replays
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Exponential backoff with +/-20% jitter, capped
+const retryDelay = (attempt) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// POST the body to the subscription URL; resolves to the response status
+const post = (url, { headers, body, lookup }) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const request = client.request(target, {
+    method: 'POST',
+    ...(lookup && { lookup }),
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }
+  }, response => {
+    // The response body is not used; redirects are not followed
+    response.resume();
+    resolve(response.statusCode);
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+// One HTTP attempt; resolves to { ok, status, error }.
+// The target is checked again on every attempt, and the connection pinned to
+// the checked address, so DNS cannot move a subscription onto an internal host
+// after it was validated.
+const send = async (webhook, delivery) => {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  try {
+    const lookup = ALLOW_PRIVATE_TARGETS
+      ? null
+      : pinnedLookup(await resolvePublicAddress(new URL(webhook.url).hostname));
+
+    const status = await post(webhook.url, {
+      lookup,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'URL-Shortener-Webhooks/1.0',
+        'X-Webhook-Id': delivery.deliveryId,
+        'X-Webhook-Event': delivery.type,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.body)
+      },
+      body: delivery.body
+    });
+
+    return status >= 200 && status < 300
+      ? { ok: true, status }
+      : { ok: false, status, error: `HTTP ${status}` };
+  } catch (error) {
+    return { ok: false, status: null, error: error.message };
+  }
+};
+
+const deadLetter = (webhook, delivery, { status, error }) => {
+  WebhookModel.addDeadLetter({
+    deliveryId: delivery.deliveryId,
+    webhookId: webhook.id,
+    owner: webhook.owner,
+    url: webhook.url,
+    type: delivery.type,
+    payload: JSON.parse(delivery.body),
+    attempts: delivery.attempts,
+    lastStatus: status,
+    lastError: error,
+    failedAt: new Date().toISOString()
+  });
+};
+
+const attempt = async (delivery) => {
+  const webhook = WebhookModel.findById(delivery.webhookId);
+
+  // Subscription removed while the delivery was pending
+  if (!webhook) return;
+
+  delivery.attempts++;
+  const result = await send(webhook, delivery);
+
+  if (result.ok) {
+    logger.info('Webhook delivered', {
+      deliveryId: delivery.deliveryId,
+      webhookId: webhook.id,
+      type: delivery.type,
+      status: result.status,
+      attempts: delivery.attempts
+    });
+    Log("backend", "info", "handler", `Webhook delivered: ${delivery.deliveryId}`);
+    return;
+  }
+
+  if (delivery.attempts >= MAX_ATTEMPTS) {
+    deadLetter(webhook, delivery, result);
+    return;
+  }
+
+  const delay = retryDelay(delivery.attempts);
+  logger.warn('Webhook delivery failed, will retry', {
+    deliveryId: delivery.deliveryId,
+    webhookId: webhook.id,
+    attempts: delivery.attempts,
+    error: result.error,
+    retryInMs: delay
+  });
+  Log("backend", "warn", "handler", `Webhook delivery failed (attempt ${delivery.attempts}): ${result.error}`);
+
+  // Timers must not keep the process alive on shutdown
+  retrying++;
+  setTimeout(() => {
+    retrying--;
+    enqueue(delivery, { retry: true });
+  }, delay).unref();
+};
+
+const pump = () => {
+  while (active < CONCURRENCY && queue.length > 0) {
+    const delivery = queue.shift();
+    active++;
+    attempt(delivery)
+      .catch(error => {
+        logger.error('Unexpected webhook delivery error', { deliveryId: delivery.deliveryId, error: error.message });
+        Log("backend", "error", "handler", `Unexpected webhook delivery error: ${error.message}`);
+      })
+      .finally(() => {
+        active--;
+        pump();
+      });
+  }
+};
+
+// Retries were already counted while waiting, so only new deliveries are
+// turned away when the backlog is full
+const enqueue = (delivery, { retry = false } = {}) => {
+  if (!retry && queue.length + retrying >= MAX_PENDING) {
+    const webhook = WebhookModel.findById(delivery.webhookId);
+    if (webhook) {
+      deadLetter(webhook, delivery, { status: null, error: `Delivery backlog full (${MAX_PENDING} pending)` });
+    }
+    return;
+  }
+
+  queue.push(delivery);
+  // Deliver outside the current request so callers never wait on receivers
+  setImmediate(pump);
+};
+
+// Queue an event for every subscription of `owner` that listens to `type`.
+// Returns immediately; delivery, retries and dead-lettering happen in the background.
+const emitWebhookEvent = (type, data, { owner }) => {
+  if (!owner) return 0;
+
+  const subscribers = WebhookModel.subscribersFor(type, owner);
+  const createdAt = new Date().toISOString();
+
+  subscribers.forEach(webhook => {
+    const deliveryId = `whd_${crypto.randomBytes(8).toString('hex')}`;
+    enqueue({
+      deliveryId,
+      webhookId: webhook.id,
+      type,
+      attempts: 0,
+      body: JSON.stringify({ id: deliveryId, type, createdAt, data })
+    });
+  });
+
+  return subscribers.length;
+};
+
+// Put a dead letter back on the queue with a fresh attempt budget
+const retryDeadLetter = (deadLetter) => {
+  enqueue({
+    deliveryId: deadLetter.deliveryId,
+    webhookId: deadLetter.webhookId,
+    type: deadLetter.type,
+    attempts: 0,
+    body: JSON.stringify(deadLetter.payload)
+  });
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  CLICK_THRESHOLDS,
+  validateWebhook,
+  signPayload,
+  emitWebhookEvent,
+  retryDeadLetter
+};
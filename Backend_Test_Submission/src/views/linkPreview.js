@@ -0,0 +1,49 @@
+const { escapeHtml } = require('./passwordPrompt');
+
+const renderWarnings = (warnings) => warnings.length === 0
+  ? '<p class="ok">No problems were found with this destination.</p>'
+  : `<ul class="warnings">${warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>`;
+
+// Interstitial page showing where a short link leads before following it.
+// `preview` is the object built by the redirect route (see sendPreview).
+const renderLinkPreview = ({ shortcode, continueUrl, preview }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Link preview - ${escapeHtml(shortcode)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f4f5f7; display: flex; justify-content: center; padding-top: 10vh; }
+    main { background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, .1); width: 32rem; max-width: 90vw; }
+    h1 { font-size: 1.2rem; margin-top: 0; }
+    .destination { word-break: break-all; font-family: monospace; background: #f4f5f7; padding: .6rem; border-radius: 4px; }
+    dt { font-weight: 600; margin-top: .6rem; }
+    dd { margin-left: 0; }
+    .ok { color: #1b5e20; }
+    .warnings { color: #b00020; padding-left: 1.2rem; }
+    a.button { display: inline-block; margin-top: 1rem; padding: .6rem 1.2rem; background: #1a73e8; color: #fff; border-radius: 4px; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>This short link leads to</h1>
+    ${preview.destination
+      ? `<p class="destination">${escapeHtml(preview.destination)}</p>`
+      : '<p>The destination is hidden because this link is password protected.</p>'}
+    <dl>
+      ${preview.title ? `<dt>Page title</dt><dd>${escapeHtml(preview.title)}</dd>` : ''}
+      ${preview.host ? `<dt>Website</dt><dd>${escapeHtml(preview.host)}${preview.secure ? ' (secure connection)' : ' (not encrypted)'}</dd>` : ''}
+      <dt>Expires</dt><dd>${escapeHtml(preview.expiresAt)}</dd>
+      ${preview.remainingClicks !== null ? `<dt>Remaining visits</dt><dd>${preview.remainingClicks}</dd>` : ''}
+    </dl>
+    ${renderWarnings(preview.warnings)}
+    <a class="button" href="${escapeHtml(continueUrl)}" rel="noreferrer">Continue to link</a>
+  </main>
+</body>
+</html>
+`;
+
+module.exports = {
+  renderLinkPreview
+};
@@ -0,0 +1,41 @@
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Minimal standalone page asking for the password of a protected short link.
+// The form posts back to the same /:shortcode path, keeping the query string
+// so it can still be forwarded to the destination.
+const renderPasswordPrompt = ({ shortcode, query = '', error = null }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Password required</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f4f5f7; display: flex; justify-content: center; padding-top: 15vh; }
+    form { background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, .1); width: 20rem; }
+    h1 { font-size: 1.2rem; margin-top: 0; }
+    input, button { width: 100%; box-sizing: border-box; padding: .6rem; margin-top: .6rem; font-size: 1rem; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+  <form method="POST" action="/${escapeHtml(shortcode)}${query ? `?${escapeHtml(query)}` : ''}">
+    <h1>This link is password protected</h1>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <input type="password" name="password" placeholder="Password" autofocus required>
+    <button type="submit">Continue</button>
+  </form>
+</body>
+</html>
+`;
+
+module.exports = {
+  escapeHtml,
+  renderPasswordPrompt
+};
@@ -0,0 +1,72 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+after(() => api.close());
+
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const GOOGLEBOT = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+const HOUR = 60 * 60 * 1000;
+
+const analytics = (query) => api.request('GET', `/shorturls/ana001/analytics?${new URLSearchParams(query)}`, { headers: ALICE });
+
+before(async () => {
+  api = await startServer();
+  await api.request('POST', '/shorturls', { body: { url: 'https://example.com', shortcode: 'ana001' }, headers: ALICE });
+  await api.request('GET', '/ana001', { headers: { 'User-Agent': CHROME, Referer: 'https://news.example/' } });
+  await api.request('GET', '/ana001', { headers: { 'User-Agent': CHROME, Referer: 'https://news.example/' } });
+  await api.request('GET', '/ana001', { headers: { 'User-Agent': CHROME } });
+  await api.request('GET', '/ana001', { headers: { 'User-Agent': GOOGLEBOT } });
+});
+
+test('buckets clicks into a zero-filled time series', async () => {
+  const from = new Date(Date.now() - 2 * HOUR).toISOString();
+  const response = await analytics({ from, interval: 'hour' });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.interval, 'hour');
+  assert.equal(response.body.clicksInRange, 4);
+  assert.equal(response.body.timeSeries.length, 3);
+  assert.deepEqual(response.body.timeSeries.slice(0, 2).map(bucket => bucket.clicks), [0, 0]);
+  assert.equal(response.body.timeSeries[2].clicks, 4);
+  assert.equal(response.body.timeSeries[2].botClicks, 1);
+
+  const daily = await analytics({ from, interval: 'day' });
+  assert.equal(daily.body.timeSeries.reduce((sum, bucket) => sum + bucket.clicks, 0), 4);
+
+  // Clicks outside the range are left out
+  const earlier = await analytics({ from, to: new Date(Date.now() - HOUR).toISOString(), interval: 'hour' });
+  assert.equal(earlier.body.clicksInRange, 0);
+  assert.equal(earlier.body.totalClicks, 4);
+});
+
+test('splits humans from bots and breaks human clicks down', async () => {
+  const { body } = await analytics({ top: 1 });
+
+  assert.equal(body.humanClicks, 3);
+  assert.equal(body.botClicks, 1);
+  assert.deepEqual(body.breakdowns.referrers, [{ value: 'news.example', clicks: 2 }]);
+  assert.deepEqual(body.breakdowns.browsers, [{ value: 'Chrome', clicks: 3 }]);
+  assert.deepEqual(body.breakdowns.bots, [{ value: 'Google', clicks: 1 }]);
+  assert.equal(body.clicks.total, 4);
+  assert.equal(body.clicks.items.filter(click => click.isBot).length, 1);
+});
+
+test('rejects bad interval and range input', async () => {
+  const hourAgo = new Date(Date.now() - HOUR).toISOString();
+  const cases = [
+    { interval: 'week' },
+    { from: 'yesterday' },
+    { from: new Date().toISOString(), to: hourAgo },
+    { from: '2000-01-01T00:00:00Z', interval: 'hour' },
+    { top: 0 },
+    { limit: 501 }
+  ];
+
+  for (const query of cases) {
+    const response = await analytics(query);
+    assert.equal(response.status, 400, JSON.stringify(query));
+    assert.equal(response.body.success, false);
+  }
+});
@@ -0,0 +1,19 @@
+const { ALICE, BOB, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+test('requires an API key and keeps links private to their owner', async () => {
+  await api.request('POST', '/shorturls', { body: { url: 'https://example.com', shortcode: 'own001' }, headers: ALICE });
+
+  assert.equal((await api.request('GET', '/shorturls/own001')).status, 401);
+  assert.equal((await api.request('GET', '/shorturls/own001', { headers: { 'X-API-Key': 'nope' } })).status, 401);
+  assert.equal((await api.request('GET', '/shorturls/own001', { headers: BOB })).status, 403);
+  assert.equal((await api.request('DELETE', '/shorturls/own001', { headers: BOB })).status, 403);
+  assert.equal((await api.request('GET', '/shorturls/own001', {
+    headers: { Authorization: 'Bearer alice-key' }
+  })).status, 200);
+});
@@ -0,0 +1,39 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const UrlModel = require('../src/models/UrlModel');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const create = (body) => api.request('POST', '/shorturls', { body, headers: ALICE });
+
+test('batch create reports per-item results', async () => {
+  const response = await api.request('POST', '/shorturls/batch', {
+    headers: ALICE,
+    body: { urls: [{ url: 'https://example.com/1', shortcode: 'bat001' }, { url: 'bad' }, { url: 'https://example.com/2', shortcode: 'bat001' }] }
+  });
+
+  assert.equal(response.status, 207);
+  assert.equal(response.body.data.created, 1);
+  assert.deepEqual(response.body.data.results.map(result => result.status), [201, 400, 409]);
+});
+
+test('single create keeps its validity defaults and coercion', async () => {
+  const minutesLeft = (response) => Math.round((new Date(response.body.expiry) - Date.now()) / 60000);
+
+  assert.equal(minutesLeft(await create({ url: 'https://example.com', validity: 0 })), 30);
+  assert.equal(minutesLeft(await create({ url: 'https://example.com', validity: '60' })), 60);
+  assert.equal((await create({ url: 'https://example.com', validity: 1.5 })).status, 201);
+
+  for (const validity of [-5, 'abc', 525601]) {
+    const response = await create({ url: 'https://example.com', validity });
+    assert.equal(response.status, 400, `validity ${JSON.stringify(validity)}`);
+  }
+});
+
+test('a create that fails leaves nothing saved', () => {
+  assert.throws(() => UrlModel.create('bad001', 'https://example.com', new Date('invalid')), RangeError);
+  assert.equal(UrlModel.exists('bad001'), false);
+});
@@ -0,0 +1,36 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const create = (body) => api.request('POST', '/shorturls', { body, headers: ALICE });
+
+test('click-limited links stop redirecting once the budget is spent', async () => {
+  await create({ url: 'https://example.com', shortcode: 'lim001', maxClicks: 2 });
+
+  assert.equal((await api.request('GET', '/lim001')).status, 302);
+  assert.equal((await api.request('GET', '/lim001')).status, 302);
+  assert.equal((await api.request('GET', '/lim001')).status, 410);
+});
+
+test('bot user agents spend the click budget too', async () => {
+  await create({ url: 'https://example.com', shortcode: 'lim002', maxClicks: 1 });
+  const bot = { 'User-Agent': 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)' };
+
+  assert.equal((await api.request('GET', '/lim002', { headers: bot })).status, 302);
+  assert.equal((await api.request('GET', '/lim002', { headers: bot })).status, 410);
+  assert.equal((await api.request('GET', '/lim002')).status, 410);
+});
+
+test('raising the limit reopens an exhausted link', async () => {
+  await create({ url: 'https://example.com', shortcode: 'lim003', maxClicks: 1 });
+  await api.request('GET', '/lim003');
+  assert.equal((await api.request('GET', '/lim003')).status, 410);
+
+  assert.equal((await api.request('PATCH', '/shorturls/lim003', { headers: ALICE, body: { maxClicks: 2 } })).status, 200);
+  assert.equal((await api.request('GET', '/lim003')).status, 302);
+  assert.equal((await api.request('GET', '/lim003')).status, 410);
+});
@@ -0,0 +1,45 @@
+process.env.DESTINATION_RESOLVE_DNS = 'true';
+const { ROOT } = require('./helpers');
+const dns = require('dns');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkDestination, isBlockedAddress } = require(path.join(ROOT, 'src', 'utils', 'destinationPolicy'));
+
+const rules = async (url) => (await checkDestination(url)).map(violation => violation.rule);
+
+test('blocks private addresses in every IPv6 spelling', () => {
+  [
+    '127.0.0.1', '10.1.2.3', '169.254.169.254', '::1', '::', 'fe80::1',
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '::127.0.0.1', '::7f00:1', '0:0:0:0:0:ffff:a9fe:a9fe'
+  ].forEach(address => assert.equal(isBlockedAddress(address), true, address));
+
+  ['8.8.8.8', '::ffff:8.8.8.8', '2606:4700:4700::1111'].forEach(address =>
+    assert.equal(isBlockedAddress(address), false, address));
+});
+
+test('rejects literal private destinations', async () => {
+  assert.deepEqual(await rules('http://[::127.0.0.1]/admin'), ['private_address']);
+  assert.deepEqual(await rules('http://[::ffff:a9fe:a9fe]/latest/meta-data'), ['private_address']);
+  assert.deepEqual(await rules('http://localhost:8080/'), ['private_address']);
+});
+
+test('rejects hosts resolving to private addresses', async (t) => {
+  t.mock.method(dns.promises, 'lookup', async () => [
+    { address: '93.184.215.14', family: 4 },
+    { address: '::ffff:10.0.0.5', family: 6 }
+  ]);
+  assert.deepEqual(await rules('https://sneaky.example.com/'), ['private_resolution']);
+});
+
+test('fails closed when the lookup fails', async (t) => {
+  t.mock.method(dns.promises, 'lookup', async () => {
+    throw Object.assign(new Error('getaddrinfo ENOTFOUND nowhere.example'), { code: 'ENOTFOUND' });
+  });
+  assert.deepEqual(await rules('https://nowhere.example/'), ['unresolvable']);
+});
+
+test('allows hosts resolving to public addresses', async (t) => {
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.215.14', family: 4 }]);
+  assert.deepEqual(await rules('https://example.com/'), []);
+});
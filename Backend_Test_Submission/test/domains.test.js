@@ -0,0 +1,42 @@
+process.env.SHORT_DOMAINS = 'go.example.com,brand.example';
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const create = (body) => api.request('POST', '/shorturls', { body, headers: ALICE });
+const visit = (shortcode, host) => api.request('GET', `/${shortcode}`, { headers: { Host: host } });
+
+test('links on a branded domain resolve only on that domain', async () => {
+  const created = await create({ url: 'https://example.com/brand', shortcode: 'dom001', domain: 'brand.example' });
+  assert.equal(created.status, 201);
+  assert.match(created.body.shortLink, /\/\/brand\.example(:\d+)?\/dom001$/);
+
+  assert.equal((await visit('dom001', 'brand.example')).headers.location, 'https://example.com/brand');
+  assert.equal((await visit('dom001', 'go.example.com')).status, 404);
+
+  assert.equal((await create({ url: 'https://example.com', domain: 'elsewhere.example' })).status, 400);
+});
+
+test('the same shortcode can live on two domains', async () => {
+  assert.equal((await create({ url: 'https://example.com/default', shortcode: 'dom002' })).status, 201);
+  assert.equal((await create({ url: 'https://example.com/brand', shortcode: 'dom002', domain: 'brand.example' })).status, 201);
+  assert.equal((await create({ url: 'https://example.com/again', shortcode: 'dom002', domain: 'brand.example' })).status, 409);
+
+  assert.equal((await visit('dom002', 'go.example.com')).headers.location, 'https://example.com/default');
+  assert.equal((await visit('dom002', 'brand.example')).headers.location, 'https://example.com/brand');
+
+  const stats = await api.request('GET', '/shorturls/dom002?domain=brand.example', { headers: ALICE });
+  assert.equal(stats.body.originalUrl, 'https://example.com/brand');
+  assert.equal(stats.body.totalClicks, 1);
+});
+
+test('unknown hosts fall back to the default domain', async () => {
+  await create({ url: 'https://example.com/fallback', shortcode: 'dom003' });
+
+  assert.equal((await visit('dom003', 'unknown.example')).headers.location, 'https://example.com/fallback');
+  assert.equal((await visit('dom001', 'unknown.example')).status, 404);
+});
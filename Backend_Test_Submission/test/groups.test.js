@@ -0,0 +1,41 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => {
+  api = await startServer();
+  for (let i = 1; i <= 4; i++) {
+    await api.request('POST', '/shorturls', {
+      headers: ALICE,
+      body: {
+        url: `https://example.com/${i}`,
+        shortcode: `grp00${i}`,
+        title: i === 3 ? 'Spring launch' : undefined,
+        tags: i <= 2 ? ['promo'] : undefined,
+        collection: i === 4 ? 'Campaigns' : undefined
+      }
+    });
+  }
+});
+after(() => api.close());
+
+const list = (query) => api.request('GET', `/shorturls${query}`, { headers: ALICE });
+const shortcodes = (response) => response.body.data.items.map(item => item.shortcode);
+
+test('filters by title, tag and collection', async () => {
+  assert.deepEqual(shortcodes(await list('?q=spring')), ['grp003']);
+  assert.deepEqual(shortcodes(await list('?tag=PROMO&order=asc')), ['grp001', 'grp002']);
+  assert.deepEqual(shortcodes(await list('?collection=Campaigns')), ['grp004']);
+});
+
+test('reports analytics for a tag', async () => {
+  await api.request('GET', '/grp001');
+
+  const response = await api.request('GET', '/tags/promo/analytics', { headers: ALICE });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.equal(response.body.links, 2);
+  assert.equal(response.body.totalClicks, 1);
+  assert.equal(response.body.range.from, (await list('?tag=promo&order=asc')).body.data.items[0].createdAt);
+  assert.equal((await api.request('GET', '/tags/nothing/analytics', { headers: ALICE })).status, 404);
+});
@@ -0,0 +1,70 @@
+process.env.METRICS_TOKEN = 'scrape-token';
+const { ALICE, ROOT, startServer } = require('./helpers');
+const { LOG_ENDPOINT } = require('./helpers/remoteLog');
+const net = require('net');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const COMPONENTS = ['storage', 'logDirectory', 'remoteLog', 'eventLoop', 'memory'];
+
+// Stand-in for the remote log service that only counts connections
+let logService;
+let logConnections = 0;
+let api;
+before(async () => {
+  logService = net.createServer(socket => {
+    logConnections++;
+    socket.destroy();
+  });
+  await new Promise(resolve => logService.listen(0, '127.0.0.1', resolve));
+  LOG_ENDPOINT.port = logService.address().port;
+
+  api = await startServer();
+});
+after(async () => {
+  await api.close();
+  await new Promise(resolve => logService.close(resolve));
+});
+
+test('liveness reports the process is up', async () => {
+  const response = await api.request('GET', '/health/live');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, 'ok');
+  assert.equal(response.headers['cache-control'], 'no-store');
+});
+
+test('public readiness shows only check statuses', async () => {
+  const response = await api.request('GET', '/health/ready');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, 'ok');
+  assert.deepEqual(Object.keys(response.body.components), COMPONENTS);
+  COMPONENTS.forEach(name => assert.deepEqual(response.body.components[name], { status: 'ok' }));
+  assert.equal((await api.request('GET', '/health')).status, 200);
+});
+
+test('API keys and the metrics token see component details', async () => {
+  const withKey = await api.request('GET', '/health/ready', { headers: ALICE });
+  assert.equal(withKey.body.components.storage.driver, 'memory');
+  assert.equal(withKey.body.components.remoteLog.endpoint, `127.0.0.1:${LOG_ENDPOINT.port}`);
+  assert.ok(withKey.body.components.memory.rssBytes > 0);
+
+  const withToken = await api.request('GET', '/health/ready', { headers: { Authorization: 'Bearer scrape-token' } });
+  assert.ok(withToken.body.components.logDirectory.path);
+
+  const wrongToken = await api.request('GET', '/health/ready', { headers: { Authorization: 'Bearer nope' } });
+  assert.deepEqual(wrongToken.body.components.storage, { status: 'ok' });
+});
+
+test('remote log reachability is probed once per cache interval', () => {
+  assert.equal(logConnections, 1);
+});
+
+test('readiness fails while shutting down', async () => {
+  require(path.join(ROOT, 'src', 'utils', 'health')).markShuttingDown();
+
+  const response = await api.request('GET', '/health/ready');
+  assert.equal(response.status, 503);
+  assert.equal(response.body.status, 'shutting_down');
+  assert.equal((await api.request('GET', '/health/live')).status, 200);
+});
@@ -0,0 +1,95 @@
+// Shared setup for the node:test suites. Require this before any module
+// from src/ so the environment below is in place when they load.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const Module = require('module');
+
+// Logs go to a scratch directory instead of the tracked logs/ folder
+process.env.LOG_DIR = process.env.LOG_DIR || fs.mkdtempSync(path.join(os.tmpdir(), 'url-shortener-logs-'));
+process.env.API_KEYS = process.env.API_KEYS || 'alice:alice-key,bob:bob-key';
+process.env.RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED || 'false';
+// Destinations are not resolved or fetched unless a suite opts in
+process.env.DESTINATION_RESOLVE_DNS = process.env.DESTINATION_RESOLVE_DNS || 'false';
+process.env.PREVIEW_FETCH_TITLE = process.env.PREVIEW_FETCH_TITLE || 'false';
+
+// Entries meant for the remote log service are recorded here instead of posted
+const remoteLog = path.join(__dirname, 'remoteLog.js');
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  if (/Logging-Middleware\/logger$/.test(request)) return remoteLog;
+  return resolveFilename.call(this, request, ...rest);
+};
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const ALICE = { 'X-API-Key': 'alice-key' };
+const BOB = { 'X-API-Key': 'bob-key' };
+
+// Start the app on an ephemeral port. Returns { request, close, port }.
+const startServer = async () => {
+  const UrlShortenerApp = require(path.join(ROOT, 'src', 'app'));
+  const app = new UrlShortenerApp().getApp();
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const { port } = server.address();
+
+  // request(method, path, { body, headers }) -> { status, headers, body, text }
+  const request = (method, urlPath, { body, headers = {} } = {}) => new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: urlPath,
+      headers: {
+        ...(payload !== null && { 'Content-Type': 'application/json' }),
+        ...headers
+      }
+    }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        let json = null;
+        try {
+          json = JSON.parse(text);
+        } catch (error) {
+          // not JSON
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body: json, text });
+      });
+    });
+    req.on('error', reject);
+    if (payload !== null) req.write(payload);
+    req.end();
+  });
+
+  const close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+  });
+
+  return { request, close, port };
+};
+
+// Poll `check` until it returns a truthy value or the timeout passes
+const waitFor = async (check, { timeoutMs = 5000, intervalMs = 10 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+};
+
+module.exports = {
+  ROOT,
+  ALICE,
+  BOB,
+  startServer,
+  waitFor
+};
@@ -0,0 +1,33 @@
+// Local HTTP stand-in for webhook receivers. `respond(req)` returns the status
+// to answer with (or a promise of it); every request is recorded.
+const http = require('http');
+
+const startReceiver = async (respond = () => 200) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const entry = { path: req.url, headers: req.headers, body };
+      requests.push(entry);
+      res.writeHead(await receiver.respond(entry));
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const receiver = {
+    respond,
+    requests,
+    port: server.address().port,
+    url: (urlPath = '/') => `http://127.0.0.1:${server.address().port}${urlPath}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+  return receiver;
+};
+
+module.exports = { startReceiver };
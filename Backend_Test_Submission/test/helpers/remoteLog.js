@@ -0,0 +1,15 @@
+// Test double for the remote Logging Middleware: keeps entries in memory
+const entries = [];
+
+function Log(stack, level, pkg, message) {
+  entries.push({ stack, level, package: pkg, message });
+}
+
+function getDeliveryStats() {
+  return { sent: entries.length, failed: 0, lastError: null, lastFailureAt: null };
+}
+
+// Nothing listens on the discard port, so reachability checks fail fast
+const LOG_ENDPOINT = { hostname: '127.0.0.1', port: 9, path: '/evaluation-service/logs' };
+
+module.exports = { Log, getDeliveryStats, LOG_ENDPOINT, entries };
@@ -0,0 +1,34 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const create = (body, headers = ALICE) => api.request('POST', '/shorturls', { body, headers });
+
+test('creates a link and redirects to it', async () => {
+  const created = await create({ url: 'https://example.com/page', shortcode: 'lnk001', validity: 60 });
+  assert.equal(created.status, 201);
+  assert.match(created.body.shortLink, /\/lnk001$/);
+  assert.ok(new Date(created.body.expiry) > new Date());
+
+  const redirect = await api.request('GET', '/lnk001');
+  assert.equal(redirect.status, 302);
+  assert.equal(redirect.headers.location, 'https://example.com/page');
+
+  const stats = await api.request('GET', '/shorturls/lnk001', { headers: ALICE });
+  assert.equal(stats.status, 200);
+  assert.equal(stats.body.totalClicks, 1);
+  assert.equal(stats.body.clickDetails.length, 1);
+});
+
+test('rejects invalid create requests', async () => {
+  assert.equal((await create({})).status, 400);
+  assert.equal((await create({ url: 'ftp://example.com' })).status, 400);
+  assert.equal((await create({ url: 'https://example.com', shortcode: 'a!' })).status, 400);
+
+  await create({ url: 'https://example.com', shortcode: 'dup001' });
+  assert.equal((await create({ url: 'https://example.com', shortcode: 'dup001' })).status, 409);
+});
@@ -0,0 +1,79 @@
+process.env.ADMIN_OWNERS = 'bob';
+const { ALICE, BOB, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const UrlModel = require('../src/models/UrlModel');
+
+let api;
+before(async () => {
+  api = await startServer();
+  for (let i = 1; i <= 7; i++) {
+    await api.request('POST', '/shorturls', {
+      headers: ALICE,
+      body: {
+        url: `https://${i % 2 ? 'odd' : 'even'}.example.com/${i}`,
+        shortcode: `lst00${i}`
+      }
+    });
+  }
+  await api.request('POST', '/shorturls', { headers: BOB, body: { url: 'https://example.com/bob', shortcode: 'bob001' } });
+});
+after(() => api.close());
+
+const list = (query, headers = ALICE) => api.request('GET', `/shorturls${query}`, { headers });
+
+test('walks every page with the cursor without repeats', async () => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = await list(`?limit=3${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(page.status, 200);
+    assert.ok(page.body.data.items.length <= 3);
+    seen.push(...page.body.data.items.map(item => item.shortcode));
+    cursor = page.body.data.nextCursor;
+  } while (cursor);
+
+  assert.equal(seen.length, 7);
+  assert.equal(new Set(seen).size, 7);
+});
+
+test('sorts ascending and descending', async () => {
+  const asc = (await list('?sort=created&order=asc&limit=100')).body.data.items.map(item => item.shortcode);
+  const desc = (await list('?sort=created&order=desc&limit=100')).body.data.items.map(item => item.shortcode);
+  assert.deepEqual(asc, [...desc].reverse());
+});
+
+test('filters by search and destination domain', async () => {
+  assert.deepEqual((await list('?q=LST003')).body.data.items.map(item => item.shortcode), ['lst003']);
+  assert.equal((await list('?destinationDomain=even.example.com')).body.data.items.length, 3);
+});
+
+test('rejects invalid queries', async () => {
+  const response = await list('?limit=0&sort=name&cursor=bogus');
+  assert.equal(response.status, 400);
+  assert.equal(response.body.errors.length, 3);
+});
+
+test('only admins list other owners', async () => {
+  assert.equal((await list('?owner=bob')).status, 403);
+  assert.equal((await list('?owner=alice', BOB)).body.data.items.length, 7);
+  assert.equal((await list('?limit=100', BOB)).body.data.items.length, 8);
+});
+
+test('skips entries with missing or invalid dates', async () => {
+  UrlModel.store.saveUrl({ id: 'bad001', shortcode: 'bad001', originalUrl: 'https://example.com', owner: 'alice', createdAt: new Date() });
+  UrlModel.store.saveUrl({ id: 'bad002', shortcode: 'bad002', originalUrl: 'https://example.com', owner: 'alice', createdAt: new Date('x'), expiryDate: new Date() });
+
+  for (const sort of ['created', 'expiry']) {
+    const response = await list(`?sort=${sort}&limit=100`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.items.length, 7);
+  }
+});
+
+test('shortcodes that API routes would shadow are reserved', async () => {
+  for (const shortcode of ['shorturls', 'API', 'health']) {
+    const response = await api.request('POST', '/shorturls', { headers: ALICE, body: { url: 'https://example.com', shortcode } });
+    assert.equal(response.status, 409, shortcode);
+  }
+});
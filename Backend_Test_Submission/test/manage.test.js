@@ -0,0 +1,46 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const UrlModel = require('../src/models/UrlModel');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const create = (body) => api.request('POST', '/shorturls', { body, headers: ALICE });
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+test('updates, deactivates and deletes a link', async () => {
+  await create({ url: 'https://example.com/old', shortcode: 'upd001' });
+
+  const updated = await api.request('PATCH', '/shorturls/upd001', {
+    headers: ALICE,
+    body: { url: 'https://example.com/new', validity: 120 }
+  });
+  assert.equal(updated.status, 200);
+  assert.equal((await api.request('GET', '/upd001')).headers.location, 'https://example.com/new');
+
+  assert.equal((await api.request('PATCH', '/shorturls/upd001', { headers: ALICE, body: { isActive: false } })).status, 200);
+  assert.equal((await api.request('GET', '/upd001')).status, 410);
+
+  assert.equal((await api.request('DELETE', '/shorturls/upd001', { headers: ALICE })).status, 200);
+  assert.equal((await api.request('GET', '/upd001')).status, 404);
+});
+
+test('expired links answer 410', async () => {
+  await create({ url: 'https://example.com', shortcode: 'exp001' });
+  UrlModel.update(UrlModel.findId('exp001'), { expiryDate: new Date(Date.now() - 1000) });
+
+  assert.equal((await api.request('GET', '/exp001')).status, 410);
+});
+
+test('cleanup keeps expired links answering 410 until the retention period passes', async () => {
+  await create({ url: 'https://example.com', shortcode: 'exp002' });
+  await create({ url: 'https://example.com', shortcode: 'exp003' });
+  UrlModel.update(UrlModel.findId('exp002'), { expiryDate: daysAgo(1) });
+  UrlModel.update(UrlModel.findId('exp003'), { expiryDate: daysAgo(31) });
+
+  assert.equal(UrlModel.cleanupExpired(30), 1);
+  assert.equal((await api.request('GET', '/exp002')).status, 410);
+  assert.equal((await api.request('GET', '/exp003')).status, 404);
+});
@@ -0,0 +1,46 @@
+process.env.METRICS_TOKEN = 'scrape-token';
+const { ALICE, startServer, waitFor } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const scrape = () => api.request('GET', '/metrics', { headers: { Authorization: 'Bearer scrape-token' } });
+
+// Value of one series in the exposition text, or null when absent
+const sample = (text, series) => {
+  const line = text.split('\n').find(entry => entry.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : null;
+};
+
+test('requires the metrics token', async () => {
+  assert.equal((await api.request('GET', '/metrics')).status, 401);
+  assert.equal((await api.request('GET', '/metrics', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+});
+
+test('counts created links, redirects and requests by route template', async () => {
+  const before = await scrape();
+  assert.equal(before.status, 200);
+  assert.match(before.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+  assert.equal(sample(before.text, 'shortener_links_created_total'), 0);
+
+  await api.request('POST', '/shorturls', { headers: ALICE, body: { url: 'https://example.com', shortcode: 'met001' } });
+  await api.request('GET', '/met001');
+  await api.request('GET', '/nothere');
+
+  // Requests are recorded once their response has finished
+  const text = await waitFor(async () => {
+    const { text: current } = await scrape();
+    return sample(current, 'shortener_redirects_total{result="miss"}') === 1 && current;
+  });
+
+  assert.equal(sample(text, 'shortener_links_created_total'), 1);
+  assert.equal(sample(text, 'shortener_links_active'), 1);
+  assert.equal(sample(text, 'shortener_redirects_total{result="hit"}'), 1);
+  assert.equal(sample(text, 'http_requests_total{method="GET",route="/:shortcode",status="302"}'), 1);
+  assert.equal(sample(text, 'http_request_duration_seconds_count{method="POST",route="/shorturls"}'), 1);
+  assert.ok(!text.includes('met001'), 'shortcodes must not become label values');
+  assert.ok(sample(text, 'process_resident_memory_bytes') > 0);
+});
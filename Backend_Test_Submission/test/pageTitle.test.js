@@ -0,0 +1,48 @@
+process.env.PREVIEW_FETCH_TITLE = 'true';
+process.env.PREVIEW_TITLE_TIMEOUT_MS = '300';
+const { ROOT } = require('./helpers');
+const dns = require('dns');
+const http = require('http');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractTitle, getPageTitle } = require(path.join(ROOT, 'src', 'utils', 'pageTitle'));
+
+// Local server that would leak its title if the preview fetch ever reached it
+let server;
+let port;
+let hits = 0;
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<title>Internal admin</title>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  ({ port } = server.address());
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('extracts and decodes the page title', () => {
+  assert.equal(extractTitle('<html><title>\n  Fish &amp; Chips &#8211; Menu </title>'), 'Fish & Chips – Menu');
+  assert.equal(extractTitle('<p>no title</p>'), null);
+});
+
+test('never fetches private or loopback hosts', async () => {
+  assert.equal(await getPageTitle(`http://127.0.0.1:${port}/`), null);
+  assert.equal(await getPageTitle(`http://localhost:${port}/`), null);
+  assert.equal(await getPageTitle(`http://[::ffff:127.0.0.1]:${port}/`), null);
+  assert.equal(hits, 0);
+});
+
+test('connects to the checked address even if DNS changes its answer', async (t) => {
+  // The policy check sees a public address; any later lookup would see loopback
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '203.0.114.10', family: 4 }]);
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    const done = typeof options === 'function' ? options : callback;
+    return options.all ? done(null, [{ address: '127.0.0.1', family: 4 }]) : done(null, '127.0.0.1', 4);
+  });
+
+  assert.equal(await getPageTitle(`http://rebind.example.com:${port}/`), null);
+  assert.equal(hits, 0);
+});
@@ -0,0 +1,60 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const UrlModel = require('../src/models/UrlModel');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const create = (body) => api.request('POST', '/shorturls', { body, headers: ALICE });
+const attempt = (shortcode, password, ip) => api.request('POST', `/${shortcode}`, {
+  body: { password },
+  headers: { 'X-Forwarded-For': ip }
+});
+
+test('password protected links redirect only with the right password', async () => {
+  await create({ url: 'https://example.com/secret', shortcode: 'pwd001', password: 'open-sesame' });
+
+  const prompt = await api.request('GET', '/pwd001');
+  assert.equal(prompt.status, 200);
+  assert.match(prompt.headers['content-type'], /html/);
+
+  assert.equal((await api.request('POST', '/pwd001', { body: { password: 'wrong' } })).status, 401);
+
+  const unlocked = await api.request('POST', '/pwd001', { body: { password: 'open-sesame' } });
+  assert.equal(unlocked.status, 303);
+  assert.equal(unlocked.headers.location, 'https://example.com/secret');
+});
+
+test('wrong passwords lock out only the client entering them', async () => {
+  await create({ url: 'https://example.com/vault', shortcode: 'pwd002', password: 'open-sesame' });
+  const guesser = '198.51.100.1';
+
+  // A right password ends the streak
+  for (let i = 0; i < 4; i++) assert.equal((await attempt('pwd002', 'wrong', guesser)).status, 401);
+  assert.equal((await attempt('pwd002', 'open-sesame', guesser)).status, 303);
+
+  for (let i = 0; i < 5; i++) assert.equal((await attempt('pwd002', 'wrong', guesser)).status, 401);
+  const locked = await attempt('pwd002', 'open-sesame', guesser);
+  assert.equal(locked.status, 429);
+  assert.equal(locked.headers['retry-after'], '60');
+
+  assert.equal((await attempt('pwd002', 'open-sesame', '198.51.100.2')).status, 303);
+
+  // Once the lockout passes, the next failure locks for twice as long
+  UrlModel.passwordFailures.get('pwd002').get(guesser).lockedUntil = Date.now() - 1;
+  assert.equal((await attempt('pwd002', 'wrong', guesser)).status, 401);
+  assert.equal((await attempt('pwd002', 'open-sesame', guesser)).headers['retry-after'], '120');
+});
+
+test('links without a password do not take a POST', async () => {
+  await create({ url: 'https://example.com', shortcode: 'pwd003' });
+
+  const response = await api.request('POST', '/pwd003', { body: { password: 'anything' } });
+  assert.equal(response.status, 405);
+  assert.equal(response.headers.allow, 'GET');
+
+  const stats = await api.request('GET', '/shorturls/pwd003', { headers: ALICE });
+  assert.equal(stats.body.totalClicks, 0);
+});
@@ -0,0 +1,46 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const create = async (body) => {
+  const response = await api.request('POST', '/shorturls', { headers: ALICE, body });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body;
+};
+
+test('redirectStatus controls the redirect status code', async () => {
+  await create({ url: 'https://example.com/moved', shortcode: 'sts001', redirectStatus: 308 });
+  assert.equal((await api.request('GET', '/sts001')).status, 308);
+
+  const invalid = await api.request('POST', '/shorturls', { headers: ALICE, body: { url: 'https://example.com', redirectStatus: 303 } });
+  assert.equal(invalid.status, 400);
+});
+
+test('previews describe the destination without counting a click', async () => {
+  await create({ url: 'http://example.com/plain', shortcode: 'pre001', maxClicks: 1 });
+
+  const json = await api.request('GET', '/pre001+', { headers: { Accept: 'application/json' } });
+  assert.equal(json.status, 200);
+  assert.equal(json.body.data.destination, 'http://example.com/plain');
+  assert.equal(json.body.data.secure, false);
+  assert.equal(json.body.data.remainingClicks, 1);
+
+  const html = await api.request('GET', '/pre001?preview=1', { headers: { Accept: 'text/html' } });
+  assert.equal(html.status, 200);
+  assert.match(html.headers['content-type'], /html/);
+
+  assert.equal((await api.request('GET', '/pre001')).status, 302);
+});
+
+test('previews stay free for bots on click-limited links', async () => {
+  await create({ url: 'https://example.com', shortcode: 'pre002', maxClicks: 1 });
+  const bot = { 'User-Agent': 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)', Accept: 'application/json' };
+
+  assert.equal((await api.request('GET', '/pre002+', { headers: bot })).status, 200);
+  assert.equal((await api.request('GET', '/pre002+', { headers: bot })).status, 200);
+  assert.equal((await api.request('GET', '/pre002')).status, 302);
+});
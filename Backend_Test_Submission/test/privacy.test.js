@@ -0,0 +1,79 @@
+process.env.PRIVACY_MODE = 'hash';
+process.env.RATE_LIMIT_ENABLED = 'true';
+process.env.RATE_LIMIT_CREATE_MAX = '2';
+const { ALICE, startServer } = require('./helpers');
+const { entries } = require('./helpers/remoteLog');
+const fs = require('fs');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const UrlModel = require('../src/models/UrlModel');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const CLIENT_IP = '127.0.0.1';
+// Forwarded by the (trusted) loopback peer, so it is the click's client IP
+const VISITOR_IP = '198.51.100.23';
+const DAY = 24 * 60 * 60 * 1000;
+
+const logEntries = () => fs.readFileSync(path.join(process.env.LOG_DIR, 'app.log'), 'utf8')
+  .trim()
+  .split('\n')
+  .map(line => JSON.parse(line));
+
+const create = (shortcode) => api.request('POST', '/shorturls', { headers: ALICE, body: { url: 'https://example.com', shortcode } });
+
+test('rejected requests are logged without the client IP', async () => {
+  assert.equal((await api.request('GET', '/shorturls')).status, 401);
+  assert.equal((await api.request('GET', '/shorturls', { headers: { 'X-API-Key': 'nope' } })).status, 401);
+
+  await create('prv001');
+  await create('prv002');
+  assert.equal((await create('prv003')).status, 429);
+
+  const rejections = logEntries().filter(entry =>
+    ['Missing API key', 'Invalid API key', 'Rate limit exceeded'].includes(entry.message));
+  assert.equal(rejections.length, 3);
+  rejections.forEach(entry => assert.match(entry.ip, /^[0-9a-f]{16}$/));
+
+  const ipFields = logEntries().filter(entry => entry.ip !== undefined);
+  assert.ok(ipFields.length > 0);
+  assert.ok(ipFields.every(entry => entry.ip !== CLIENT_IP), 'log entries carry the raw client IP');
+  assert.ok(entries.every(entry => !entry.message.includes(CLIENT_IP)), 'remote log entries carry the raw client IP');
+});
+
+test('stored clicks and exports carry no raw IP', async () => {
+  await api.request('GET', '/prv001', { headers: { 'User-Agent': 'curl/8.0', 'X-Forwarded-For': VISITOR_IP } });
+
+  const { clicks } = UrlModel.store.getAnalytics('prv001');
+  assert.equal(clicks.length, 1);
+  assert.match(clicks[0].ip, /^[0-9a-f]{16}$/);
+  assert.equal(clicks[0].userAgent, undefined);
+  assert.ok(!JSON.stringify(clicks).includes(VISITOR_IP));
+
+  for (const data of ['links', 'clicks']) {
+    const exported = await api.request('GET', `/shorturls/export?format=ndjson&data=${data}`, { headers: ALICE });
+    assert.equal(exported.status, 200);
+    assert.ok(!exported.text.includes(VISITOR_IP), `${data} export carries the raw client IP`);
+  }
+});
+
+test('the retention purge drops old clicks but keeps the totals', async () => {
+  await api.request('GET', '/prv002');
+  await api.request('GET', '/prv002');
+  const analytics = UrlModel.store.getAnalytics('prv002');
+  UrlModel.store.saveAnalytics('prv002', {
+    ...analytics,
+    clicks: analytics.clicks.map((click, index) =>
+      (index === 0 ? { ...click, timestamp: new Date(Date.now() - 31 * DAY).toISOString() } : click))
+  });
+
+  assert.equal(UrlModel.purgeOldClicks(30), 1);
+
+  const stats = await api.request('GET', '/shorturls/prv002', { headers: ALICE });
+  assert.equal(stats.body.totalClicks, 2);
+  assert.equal(stats.body.clickDetails.length, 1);
+  assert.equal(UrlModel.purgeOldClicks(30), 0);
+});
@@ -0,0 +1,31 @@
+const { ALICE, BOB, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+test('renders QR codes for the owner only', async () => {
+  await api.request('POST', '/shorturls', { body: { url: 'https://example.com', shortcode: 'qrc001' }, headers: ALICE });
+
+  const png = await api.request('GET', '/shorturls/qrc001/qr', { headers: ALICE });
+  assert.equal(png.status, 200);
+  assert.equal(png.headers['content-type'], 'image/png');
+
+  const svg = await api.request('GET', '/shorturls/qrc001/qr?format=svg', { headers: ALICE });
+  assert.equal(svg.status, 200);
+  assert.match(svg.text, /<svg/);
+
+  assert.equal((await api.request('GET', '/shorturls/qrc001/qr')).status, 401);
+  assert.equal((await api.request('GET', '/shorturls/qrc001/qr', { headers: BOB })).status, 403);
+  assert.equal((await api.request('GET', '/shorturls/nope01/qr', { headers: ALICE })).status, 404);
+});
+
+test('rejects bad QR options', async () => {
+  await api.request('POST', '/shorturls', { body: { url: 'https://example.com', shortcode: 'qrc002' }, headers: ALICE });
+
+  for (const query of ['format=gif', 'size=10', 'margin=-1', 'level=X']) {
+    assert.equal((await api.request('GET', `/shorturls/qrc002/qr?${query}`, { headers: ALICE })).status, 400, query);
+  }
+});
@@ -0,0 +1,66 @@
+process.env.RATE_LIMIT_ENABLED = 'true';
+process.env.RATE_LIMIT_BULK_MAX = '5';
+process.env.RATE_LIMIT_CREATE_MAX = '2';
+// Only this (absent) proxy may set X-Forwarded-For
+process.env.TRUST_PROXY = '10.9.9.9';
+const { ALICE, BOB, ROOT, startServer } = require('./helpers');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryBucketStore } = require(path.join(ROOT, 'src', 'middleware', 'rateLimiter'));
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const newStore = () => {
+  const store = new MemoryBucketStore();
+  clearInterval(store.sweeper);
+  return store;
+};
+
+test('buckets spend several tokens at once', () => {
+  const store = newStore();
+  const options = { capacity: 10, refillPerSecond: 1 };
+
+  assert.equal(store.take(['k'], options, 7)[0].remaining, 3);
+  const [denied] = store.take(['k'], options, 4);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.retryAfterSeconds, 1);
+  assert.equal(store.take(['k'], options)[0].remaining, 2);
+});
+
+test('a denied request spends nothing from the other buckets', () => {
+  const store = newStore();
+  const options = { capacity: 10, refillPerSecond: 1 };
+  store.take(['key'], options, 8);
+
+  const [ip, key] = store.take(['ip', 'key'], options, 5);
+  assert.equal(ip.allowed, true);
+  assert.equal(key.allowed, false);
+  assert.equal(store.take(['ip'], options)[0].remaining, 9);
+});
+
+test('bulk requests are charged per item', async () => {
+  const urls = (count) => Array.from({ length: count }, (item, index) => ({ url: `https://example.com/${index}` }));
+
+  const first = await api.request('POST', '/shorturls/batch', { headers: ALICE, body: { urls: urls(3) } });
+  assert.equal(first.status, 201);
+  assert.equal(first.headers['ratelimit-remaining'], '2');
+
+  assert.equal((await api.request('POST', '/shorturls/batch', { headers: ALICE, body: { urls: urls(3) } })).status, 429);
+
+  // Same client address, so the IP bucket is already down to two links
+  assert.equal((await api.request('POST', '/shorturls/batch', { headers: BOB, body: { urls: urls(3) } })).status, 429);
+  assert.equal((await api.request('POST', '/shorturls/batch', { headers: BOB, body: { urls: urls(2) } })).status, 201);
+});
+
+test('forwarded addresses from untrusted peers are ignored', async () => {
+  const attempt = (index) => api.request('POST', '/shorturls', {
+    body: { url: 'https://example.com' },
+    headers: { ...BOB, 'X-Forwarded-For': `198.51.100.${index}` }
+  });
+  assert.equal((await attempt(1)).status, 201);
+  assert.equal((await attempt(2)).status, 201);
+  assert.equal((await attempt(3)).status, 429);
+});
@@ -0,0 +1,40 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1';
+const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const create = async (body) => {
+  const response = await api.request('POST', '/shorturls', { headers: ALICE, body });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body;
+};
+
+test('rules route visitors by device and language', async () => {
+  await create({
+    url: 'https://example.com/default',
+    shortcode: 'rul001',
+    rules: [
+      { name: 'mobile', conditions: { device: 'mobile' }, destination: 'https://m.example.com/' },
+      { name: 'german', conditions: { language: 'de' }, destination: 'https://example.de/' }
+    ]
+  });
+
+  const visit = (headers) => api.request('GET', '/rul001', { headers });
+  assert.equal((await visit({ 'User-Agent': IPHONE })).headers.location, 'https://m.example.com/');
+  assert.equal((await visit({ 'User-Agent': DESKTOP, 'Accept-Language': 'de-AT,en;q=0.5' })).headers.location, 'https://example.de/');
+  assert.equal((await visit({ 'User-Agent': DESKTOP, 'Accept-Language': 'en-US' })).headers.location, 'https://example.com/default');
+});
+
+test('rejects invalid rules', async () => {
+  const response = await api.request('POST', '/shorturls', {
+    headers: ALICE,
+    body: { url: 'https://example.com', rules: [{ conditions: { planet: 'mars' }, destination: 'ftp://x' }] }
+  });
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,25 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+test('scheduled links do not redirect before activeFrom', async () => {
+  const activeFrom = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  await api.request('POST', '/shorturls', { body: { url: 'https://example.com', shortcode: 'sch001', activeFrom }, headers: ALICE });
+
+  const response = await api.request('GET', '/sch001');
+  assert.equal(response.status, 403);
+  assert.equal(response.body.data.activeFrom, activeFrom);
+
+  assert.equal((await api.request('PATCH', '/shorturls/sch001', { headers: ALICE, body: { activeFrom: null } })).status, 200);
+  assert.equal((await api.request('GET', '/sch001')).status, 302);
+});
+
+test('rejects activation times more than a year ahead', async () => {
+  const activeFrom = new Date(Date.now() + 400 * 24 * 60 * 60 * 1000).toISOString();
+  const response = await api.request('POST', '/shorturls', { body: { url: 'https://example.com', activeFrom }, headers: ALICE });
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,93 @@
+require('./helpers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore, MemoryStore, FileStore } = require('../src/storage');
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'url-shortener-store-')), 'urls.jsonl');
+
+const link = (shortcode, extra = {}) => ({
+  id: shortcode,
+  shortcode,
+  originalUrl: `https://example.com/${shortcode}`,
+  createdAt: new Date('2026-01-01T00:00:00Z'),
+  expiryDate: new Date('2030-01-01T00:00:00Z'),
+  isActive: true,
+  ...extra
+});
+
+test('createStore picks the backend by driver name', () => {
+  assert.ok(createStore() instanceof MemoryStore);
+  assert.ok(createStore({ driver: 'file', filePath: tempFile() }) instanceof FileStore);
+  assert.throws(() => createStore({ driver: 'redis' }), /Unknown storage driver/);
+});
+
+test('MemoryStore initializes analytics and counts clicks', () => {
+  const store = new MemoryStore();
+  store.saveUrl(link('abc123'));
+
+  store.addClick('abc123', { isBot: false, isUnique: true, variant: 'A' });
+  store.addClick('abc123', { isBot: true, isUnique: false });
+
+  const analytics = store.getAnalytics('abc123');
+  assert.equal(analytics.totalClicks, 2);
+  assert.equal(analytics.botClicks, 1);
+  assert.equal(analytics.uniqueVisitors, 1);
+  assert.deepEqual(analytics.variantClicks, { A: 1 });
+  assert.equal(store.addClick('missing', {}), null);
+});
+
+test('FileStore replays links, clicks, counters and webhooks after a restart', () => {
+  const filePath = tempFile();
+  const store = new FileStore(filePath);
+
+  store.saveUrl(link('keep01'));
+  store.saveUrl(link('gone01'));
+  store.addClick('keep01', { isBot: false, isUnique: true });
+  store.incrementCounter('keep01', 'failedPasswordAttempts');
+  store.deleteUrl('gone01');
+  store.saveWebhook({ id: 'wh_1', owner: 'alice', url: 'https://hooks.example.com', events: ['*'] });
+  store.saveWebhook({ id: 'wh_2', owner: 'alice', url: 'https://hooks.example.com', events: ['*'] });
+  store.deleteWebhook('wh_2');
+
+  const reloaded = new FileStore(filePath);
+  const urlData = reloaded.getUrl('keep01');
+
+  assert.ok(urlData.createdAt instanceof Date);
+  assert.equal(urlData.expiryDate.toISOString(), '2030-01-01T00:00:00.000Z');
+  assert.equal(reloaded.hasUrl('gone01'), false);
+  assert.equal(reloaded.getAnalytics('keep01').totalClicks, 1);
+  assert.equal(reloaded.getAnalytics('keep01').failedPasswordAttempts, 1);
+  assert.deepEqual(reloaded.listWebhooks().map(webhook => webhook.id), ['wh_1']);
+});
+
+test('FileStore compaction keeps live state and drops history', () => {
+  const filePath = tempFile();
+  const store = new FileStore(filePath);
+
+  store.saveUrl(link('cmp001'));
+  for (let i = 0; i < 5; i++) store.addClick('cmp001', { isBot: false, isUnique: i === 0 });
+  store.saveUrl(link('cmp002'));
+  store.deleteUrl('cmp002');
+
+  const before = fs.readFileSync(filePath, 'utf8').trim().split('\n').length;
+  store.compact();
+  const after = fs.readFileSync(filePath, 'utf8').trim().split('\n').length;
+  assert.ok(after < before);
+
+  const reloaded = new FileStore(filePath);
+  assert.equal(reloaded.getAnalytics('cmp001').totalClicks, 5);
+  assert.equal(reloaded.hasUrl('cmp002'), false);
+});
+
+test('FileStore skips unreadable log lines', () => {
+  const filePath = tempFile();
+  const store = new FileStore(filePath);
+  store.saveUrl(link('ok0001'));
+  fs.appendFileSync(filePath, '{not json\n');
+
+  const reloaded = new FileStore(filePath);
+  assert.equal(reloaded.hasUrl('ok0001'), true);
+});
@@ -0,0 +1,92 @@
+const { ALICE, ROOT, startServer } = require('./helpers');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeCell, toCsvRow, parseCsv } = require(path.join(ROOT, 'src', 'utils', 'csv'));
+const UrlModel = require('../src/models/UrlModel');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const CSV = { ...ALICE, 'Content-Type': 'text/csv' };
+
+test('CSV cells are quoted and formulas neutralized', () => {
+  assert.equal(escapeCell(null), '');
+  assert.equal(escapeCell('a,b'), '"a,b"');
+  assert.equal(escapeCell('say "hi"'), '"say ""hi"""');
+  assert.equal(escapeCell('=SUM(A1)'), "'=SUM(A1)");
+  assert.equal(escapeCell(['x', 'y']), 'x|y');
+  assert.equal(toCsvRow(['a', 1, null]), 'a,1,\r\n');
+});
+
+test('CSV parsing handles quotes, line breaks and a BOM', () => {
+  const { rows, error } = parseCsv('﻿a,"b,c"\r\n"multi\nline","q""uote"\n\n');
+  assert.equal(error, null);
+  assert.deepEqual(rows, [['a', 'b,c'], ['multi\nline', 'q"uote']]);
+  assert.equal(parseCsv('"open').error, 'Unterminated quoted field');
+});
+
+test('dry run validates CSV rows without creating links', async () => {
+  const csv = 'url,shortcode,tags\nhttps://example.com/a,imp001,a|b\nnot-a-url,imp002,\nhttps://example.com/c,imp001,\n';
+  const response = await api.request('POST', '/shorturls/import?dryRun=true', { headers: CSV, body: csv });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.results.map(result => result.status), [200, 400, 409]);
+  assert.equal((await api.request('GET', '/shorturls/imp001', { headers: ALICE })).status, 404);
+});
+
+test('imports CSV and JSON rows', async () => {
+  const csv = 'URL,Shortcode,tags\nhttps://example.com/a,imp001,a|b\nhttps://example.com/b,imp002,\n';
+  const created = await api.request('POST', '/shorturls/import', { headers: CSV, body: csv });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.data.created, 2);
+
+  const partial = await api.request('POST', '/shorturls/import', {
+    headers: ALICE,
+    body: [{ url: 'https://example.com/c', shortcode: 'imp003' }, { url: 'https://example.com/d', shortcode: 'imp001' }]
+  });
+  assert.equal(partial.status, 207);
+  assert.deepEqual(partial.body.data.results.map(result => result.status), [201, 409]);
+});
+
+test('rejects unknown CSV columns and empty imports', async () => {
+  const unknown = await api.request('POST', '/shorturls/import', { headers: CSV, body: 'url,colour\nhttps://example.com,red\n' });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.errors[0], /Unknown column "colour"/);
+
+  assert.equal((await api.request('POST', '/shorturls/import', { headers: ALICE, body: [] })).status, 400);
+});
+
+test('exports links as CSV and NDJSON', async () => {
+  const csv = await api.request('GET', '/shorturls/export?tag=a', { headers: ALICE });
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers['content-type'], /^text\/csv/);
+  const { rows } = parseCsv(csv.text);
+  assert.equal(rows.length, 2);
+  assert.equal(rows[1][rows[0].indexOf('shortcode')], 'imp001');
+  assert.equal(rows[1][rows[0].indexOf('tags')], 'a|b');
+
+  const ndjson = await api.request('GET', '/shorturls/export?format=ndjson&order=asc', { headers: ALICE });
+  const records = ndjson.text.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(records.map(record => record.shortcode), ['imp001', 'imp002', 'imp003']);
+
+  assert.equal((await api.request('GET', '/shorturls/export?format=xml', { headers: ALICE })).status, 400);
+});
+
+test('exports clicks', async () => {
+  await api.request('GET', '/imp002');
+  const ndjson = await api.request('GET', '/shorturls/export?format=ndjson&data=clicks', { headers: ALICE });
+  const clicks = ndjson.text.trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(clicks.length, 1);
+  assert.equal(clicks[0].shortcode, 'imp002');
+});
+
+test('exports skip entries with an invalid date', async () => {
+  const expected = (await api.request('GET', '/shorturls/export?format=ndjson', { headers: ALICE })).text;
+  UrlModel.store.saveUrl({ id: 'bad001', shortcode: 'bad001', originalUrl: 'https://example.com', owner: 'alice', createdAt: new Date('x'), expiryDate: new Date() });
+
+  const response = await api.request('GET', '/shorturls/export?format=ndjson', { headers: ALICE });
+  assert.equal(response.status, 200);
+  assert.equal(response.text, expected);
+});
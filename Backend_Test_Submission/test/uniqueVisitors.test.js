@@ -0,0 +1,26 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+test('repeat visits count once and different clients count separately', async () => {
+  await api.request('POST', '/shorturls', { body: { url: 'https://example.com', shortcode: 'uni001' }, headers: ALICE });
+  const visit = (ip) => api.request('GET', '/uni001', { headers: { 'User-Agent': CHROME, 'X-Forwarded-For': ip } });
+
+  await visit('198.51.100.1');
+  await visit('198.51.100.1');
+  await visit('198.51.100.1');
+  await visit('198.51.100.2');
+
+  const stats = await api.request('GET', '/shorturls/uni001', { headers: ALICE });
+  assert.equal(stats.body.totalClicks, 4);
+  assert.equal(stats.body.uniqueVisitors, 2);
+
+  const analytics = await api.request('GET', '/shorturls/uni001/analytics', { headers: ALICE });
+  assert.equal(analytics.body.uniqueVisitors, 2);
+});
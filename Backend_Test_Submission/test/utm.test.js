@@ -0,0 +1,28 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const create = async (body) => {
+  const response = await api.request('POST', '/shorturls', { headers: ALICE, body });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body;
+};
+
+test('UTM defaults yield to destination and forwarded query parameters', async () => {
+  await create({
+    url: 'https://example.com/page?utm_medium=email',
+    shortcode: 'utm001',
+    utm: { source: 'newsletter', medium: 'social' },
+    forwardQuery: true
+  });
+
+  const response = await api.request('GET', '/utm001?utm_source=friend&ref=1');
+  const location = new URL(response.headers.location);
+  assert.equal(location.searchParams.get('utm_source'), 'friend');
+  assert.equal(location.searchParams.get('utm_medium'), 'email');
+  assert.equal(location.searchParams.get('ref'), '1');
+});
@@ -0,0 +1,48 @@
+const { ALICE, startServer } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const create = async (body) => {
+  const response = await api.request('POST', '/shorturls', { headers: ALICE, body });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body;
+};
+
+test('sticky variants keep a visitor on one variant', async () => {
+  const link = await create({
+    url: 'https://example.com/ab',
+    shortcode: 'var001',
+    stickyVariants: true,
+    variants: [
+      { url: 'https://a.example.com/', weight: 1 },
+      { url: 'https://b.example.com/', weight: 1 }
+    ]
+  });
+  assert.deepEqual(link.variants.map(variant => variant.name), ['A', 'B']);
+
+  const named = await create({
+    url: 'https://example.com/ab',
+    variants: [
+      { url: 'https://a.example.com/', weight: 1 },
+      { name: 'A', url: 'https://b.example.com/', weight: 1 },
+      { url: 'https://c.example.com/', weight: 1 }
+    ]
+  });
+  // Default names skip names given explicitly
+  assert.deepEqual(named.variants.map(variant => variant.name), ['B', 'A', 'C']);
+
+  const first = await api.request('GET', '/var001', { headers: { 'User-Agent': DESKTOP } });
+  for (let i = 0; i < 5; i++) {
+    const again = await api.request('GET', '/var001', { headers: { 'User-Agent': DESKTOP } });
+    assert.equal(again.headers.location, first.headers.location);
+  }
+
+  const stats = await api.request('GET', '/shorturls/var001', { headers: ALICE });
+  assert.equal(stats.status, 200);
+});
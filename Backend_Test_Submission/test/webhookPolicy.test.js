@@ -0,0 +1,45 @@
+process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+const { ALICE, startServer, waitFor } = require('./helpers');
+const { startReceiver } = require('./helpers/receiver');
+const dns = require('dns');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let api;
+let receiver;
+before(async () => {
+  api = await startServer();
+  receiver = await startReceiver();
+});
+after(async () => {
+  await receiver.close();
+  await api.close();
+});
+
+test('private targets are refused when subscribing', async () => {
+  const response = await api.request('POST', '/webhooks', { headers: ALICE, body: { url: receiver.url('/') } });
+  assert.equal(response.status, 400);
+});
+
+test('targets are checked again when delivering', async (t) => {
+  // Accepted while unresolved, then the name points at this machine
+  const created = await api.request('POST', '/webhooks', {
+    headers: ALICE,
+    body: { url: `http://hooks.example.test:${receiver.port}/`, events: ['link.created'] }
+  });
+  assert.equal(created.status, 201);
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '127.0.0.1', family: 4 }]);
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    const done = typeof options === 'function' ? options : callback;
+    return options.all ? done(null, [{ address: '127.0.0.1', family: 4 }]) : done(null, '127.0.0.1', 4);
+  });
+
+  await api.request('POST', '/shorturls', { headers: ALICE, body: { url: 'https://example.com', shortcode: 'whp001' } });
+
+  const [failed] = await waitFor(async () => {
+    const { deadLetters } = (await api.request('GET', '/webhooks/dead-letters', { headers: ALICE })).body.data;
+    return deadLetters.length === 1 && deadLetters;
+  });
+  assert.match(failed.lastError, /resolves to a private or reserved address/);
+  assert.equal(receiver.requests.length, 0);
+});
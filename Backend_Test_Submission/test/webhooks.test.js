@@ -0,0 +1,100 @@
+process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_CONCURRENCY = '1';
+process.env.WEBHOOK_MAX_PENDING = '3';
+const { ALICE, ROOT, startServer, waitFor } = require('./helpers');
+const { startReceiver } = require('./helpers/receiver');
+const crypto = require('crypto');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { emitWebhookEvent } = require(path.join(ROOT, 'src', 'utils', 'webhooks'));
+
+let api;
+let receiver;
+before(async () => {
+  api = await startServer();
+  receiver = await startReceiver();
+});
+after(async () => {
+  await receiver.close();
+  await api.close();
+});
+
+const subscribe = async (urlPath, events = ['link.created']) => {
+  const response = await api.request('POST', '/webhooks', { headers: ALICE, body: { url: receiver.url(urlPath), events } });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data;
+};
+const unsubscribe = (webhook) => api.request('DELETE', `/webhooks/${webhook.id}`, { headers: ALICE });
+const deliveriesTo = (urlPath) => receiver.requests.filter(request => request.path === urlPath);
+const deadLetters = async () => (await api.request('GET', '/webhooks/dead-letters', { headers: ALICE })).body.data.deadLetters;
+
+test('deliveries are signed with the subscription secret', async () => {
+  const webhook = await subscribe('/signed');
+  await api.request('POST', '/shorturls', { headers: ALICE, body: { url: 'https://example.com', shortcode: 'whk001' } });
+
+  const [delivery] = await waitFor(() => deliveriesTo('/signed').length === 1 && deliveriesTo('/signed'));
+  const timestamp = delivery.headers['x-webhook-timestamp'];
+  const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${delivery.body}`).digest('hex');
+
+  assert.equal(delivery.headers['x-webhook-signature'], `sha256=${expected}`);
+  assert.equal(delivery.headers['x-webhook-event'], 'link.created');
+  const payload = JSON.parse(delivery.body);
+  assert.equal(payload.id, delivery.headers['x-webhook-id']);
+  assert.equal(payload.data.shortcode, 'whk001');
+
+  await unsubscribe(webhook);
+});
+
+test('failed deliveries are retried', async () => {
+  const webhook = await subscribe('/flaky');
+  receiver.respond = (request) => (request.path === '/flaky' && deliveriesTo('/flaky').length < 3 ? 503 : 200);
+  await api.request('POST', '/shorturls', { headers: ALICE, body: { url: 'https://example.com', shortcode: 'whk002' } });
+
+  await waitFor(() => deliveriesTo('/flaky').length === 3);
+  // Every attempt carries the same delivery id
+  assert.equal(new Set(deliveriesTo('/flaky').map(request => request.headers['x-webhook-id'])).size, 1);
+  assert.deepEqual(await deadLetters(), []);
+
+  receiver.respond = () => 200;
+  await unsubscribe(webhook);
+});
+
+test('deliveries that keep failing are dead-lettered and can be retried', async () => {
+  const webhook = await subscribe('/down');
+  receiver.respond = (request) => (request.path === '/down' ? 500 : 200);
+  await api.request('POST', '/shorturls', { headers: ALICE, body: { url: 'https://example.com', shortcode: 'whk003' } });
+
+  const [failed] = await waitFor(async () => {
+    const letters = await deadLetters();
+    return letters.length === 1 && letters;
+  });
+  assert.equal(deliveriesTo('/down').length, 3);
+  assert.equal(failed.attempts, 3);
+  assert.equal(failed.lastStatus, 500);
+  assert.equal(failed.payload.data.shortcode, 'whk003');
+
+  receiver.respond = () => 200;
+  const retried = await api.request('POST', `/webhooks/dead-letters/${failed.deliveryId}/retry`, { headers: ALICE });
+  assert.equal(retried.status, 202);
+  await waitFor(() => deliveriesTo('/down').length === 4);
+  assert.deepEqual(await deadLetters(), []);
+
+  await unsubscribe(webhook);
+});
+
+test('events beyond the pending backlog are dead-lettered', async () => {
+  const webhook = await subscribe('/backlog', ['link.updated']);
+
+  // Nothing is sent before the queue is pumped, so all five wait at once
+  for (let i = 0; i < 5; i++) emitWebhookEvent('link.updated', { n: i }, { owner: 'alice' });
+
+  const letters = await deadLetters();
+  assert.deepEqual(letters.map(letter => letter.payload.data.n), [3, 4]);
+  assert.match(letters[0].lastError, /backlog full/);
+
+  await waitFor(() => deliveriesTo('/backlog').length === 3);
+  await unsubscribe(webhook);
+});
@@ -7,6 +7,8 @@
 const http = require('http');
 
 const BASE_URL = 'http://localhost:3000';
+// Must match one of the keys in the server's API_KEYS
+const API_KEY = process.env.API_KEY || '';
 
 // Helper function to make HTTP requests
 function makeRequest(method, path, data = null) {
@@ -20,7 +22,8 @@ function makeRequest(method, path, data = null) {
       timeout: 5000,
       headers: {
         'Content-Type': 'application/json',
-        'User-Agent': 'URL-Shortener-Test-Script/1.0'
+        'User-Agent': 'URL-Shortener-Test-Script/1.0',
+        ...(API_KEY && { 'X-API-Key': API_KEY })
       }
     };
 
@@ -117,6 +120,27 @@ async function testCreateShortUrl() {
   return results;
 }
 
+async function testBatchCreate() {
+  console.log('\nTesting POST /shorturls/batch - Bulk Create');
+  try {
+    const response = await makeRequest('POST', '/shorturls/batch', {
+      urls: [
+        { url: 'https://www.wikipedia.org', validity: 30 },
+        { url: 'not-a-valid-url' },
+        { url: 'https://www.duplicate.com', shortcode: 'google1' }
+      ]
+    });
+    console.log(`Expected: 207, Got: ${response.statusCode}`);
+    (response.body?.data?.results || []).forEach((r) => {
+      console.log(`#${r.index} ${r.status} ${r.shortLink || r.message}`);
+    });
+    return response.statusCode === 207;
+  } catch (error) {
+    console.log(`Batch create failed:`, error.message);
+    return false;
+  }
+}
+
 async function testGetStatistics(shortcode) {
   console.log(`\nTesting GET /shorturls/${shortcode} - Statistics`);
   try {
@@ -192,6 +216,8 @@ async function runAllTests() {
   const createResults = await testCreateShortUrl();
   const successful = createResults.find(r => r.passed && r.shortcode);
 
+  await testBatchCreate();
+
   if (successful) {
     await testGetStatistics(successful.shortcode);
     await testRedirect(successful.shortcode);
@@ -221,6 +247,7 @@ module.exports = {
   runAllTests,
   testServerConnection,
   testCreateShortUrl,
+  testBatchCreate,
   testGetStatistics,
   testRedirect
 };
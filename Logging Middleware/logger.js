@@ -2,6 +2,22 @@
 
 const http = require('http');
 
+// Remote log service the entries are posted to
+const LOG_ENDPOINT = {
+  hostname: '20.244.56.144',
+  port: 80,
+  path: '/evaluation-service/logs'
+};
+
+// Delivery counters so the service can report remote logging health
+const deliveryStats = { sent: 0, failed: 0, lastError: null, lastFailureAt: null };
+
+function recordFailure(message) {
+  deliveryStats.failed++;
+  deliveryStats.lastError = message;
+  deliveryStats.lastFailureAt = new Date().toISOString();
+}
+
 function Log(stack, level, pkg, message) {
   const payload = JSON.stringify({
     stack: stack.toLowerCase(),
@@ -11,9 +27,7 @@ function Log(stack, level, pkg, message) {
   });
 
   const options = {
-    hostname: '20.244.56.144',
-    port: 80,
-    path: '/evaluation-service/logs',
+    ...LOG_ENDPOINT,
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -22,6 +36,12 @@ function Log(stack, level, pkg, message) {
   };
 
   const req = http.request(options, (res) => {
+    if (res.statusCode >= 400) {
+      recordFailure(`HTTP ${res.statusCode}`);
+    } else {
+      deliveryStats.sent++;
+    }
+
     let data = '';
     res.on('data', chunk => data += chunk);
     res.on('end', () => {
@@ -35,6 +55,7 @@ function Log(stack, level, pkg, message) {
   });
 
   req.on('error', (error) => {
+    recordFailure(error.message);
     console.error(`[RemoteLog] Failed: ${error.message}`);
   });
 
@@ -42,4 +63,8 @@ function Log(stack, level, pkg, message) {
   req.end();
 }
 
-module.exports = { Log };
+function getDeliveryStats() {
+  return { ...deliveryStats };
+}
+
+module.exports = { Log, getDeliveryStats, LOG_ENDPOINT };